@@ -5,6 +5,10 @@
  * Script completo para verificar a saúde do sistema.
  * Executa testes reais em todos os componentes críticos.
  * 
+ * Reconhece o banco configurado (ver lib/db): o Firestore real, o emulador
+ * do Firestore (FIRESTORE_EMULATOR_HOST, sem credenciais de service
+ * account) ou o banco local.
+ * 
  * Uso: npm run db:health
  */
 
@@ -12,6 +16,22 @@ require('dotenv').config();
 
 const https = require('https');
 const http = require('http');
+const { createMailer } = require('./lib/mail');
+const { createDatabase, databaseDriver } = require('./lib/db');
+const { emulatorHosts, firebaseProjectId } = require('./lib/emulator');
+
+// 'firestore', 'emulador', 'local' ou 'memory'
+function modoBanco() {
+    const driver = databaseDriver();
+    return driver === 'firestore' && emulatorHosts().firestore ? 'emulador' : driver;
+}
+
+const NOMES_BANCO = {
+    firestore: 'Firebase Firestore',
+    emulador: 'Firestore (emulador)',
+    local: 'Banco local',
+    memory: 'Banco em memória'
+};
 
 // Cores para output
 const colors = {
@@ -38,8 +58,8 @@ let warnings = 0;
 const results = {
     environment: { status: 'pending', details: [] },
     server: { status: 'pending', details: [] },
-    firebase: { status: 'pending', details: [] },
-    resend: { status: 'pending', details: [] },
+    database: { status: 'pending', details: [] },
+    email: { status: 'pending', details: [] },
     integration: { status: 'pending', details: [] }
 };
 
@@ -85,18 +105,34 @@ function warn(name, message) {
 async function checkEnvironment() {
     log('VARIÁVEIS DE AMBIENTE', 'section');
     
+    const modo = modoBanco();
+
+    let allPassed = true;
+
+    // Transporte inválido ou ausente em produção conta como falha da verificação
+    let mailDriver = null;
+    try {
+        mailDriver = createMailer().driver;
+    } catch (error) {
+        test('Transporte de email', false, error.message);
+        results.environment.details.push({ name: 'MAIL_DRIVER', status: 'invalid' });
+        allPassed = false;
+    }
+
     const requiredVars = [
-        { name: 'FIREBASE_PROJECT_ID', sensitive: false },
-        { name: 'FIREBASE_PRIVATE_KEY', sensitive: true },
-        { name: 'FIREBASE_CLIENT_EMAIL', sensitive: false },
-        { name: 'RESEND_API_KEY', sensitive: true },
+        // Credenciais de service account só para o Firestore real
+        ...(modo === 'firestore' ? [
+            { name: 'FIREBASE_PROJECT_ID', sensitive: false },
+            { name: 'FIREBASE_PRIVATE_KEY', sensitive: true },
+            { name: 'FIREBASE_CLIENT_EMAIL', sensitive: false }
+        ] : []),
+        // A chave do Resend só é exigida quando ele é o transporte dos emails
+        ...(mailDriver === 'resend' ? [{ name: 'RESEND_API_KEY', sensitive: true }] : []),
         { name: 'EMAIL_TO', sensitive: false },
         { name: 'EMAIL_FROM', sensitive: false },
         { name: 'PORT', sensitive: false }
     ];
     
-    let allPassed = true;
-    
     for (const v of requiredVars) {
         const value = process.env[v.name];
         const exists = !!value && value.trim() !== '';
@@ -114,15 +150,26 @@ async function checkEnvironment() {
         }
     }
     
+    if (modo === 'emulador') {
+        log(`Modo emulador: projeto ${firebaseProjectId()}, sem credenciais de service account`, 'info');
+        for (const [servico, host] of Object.entries(emulatorHosts())) {
+            test(`Emulador (${servico})`, true, host);
+        }
+        results.environment.details.push({ name: 'emulador', status: 'ok', hosts: emulatorHosts() });
+    } else if (modo !== 'firestore') {
+        log(`Banco de dados ${modo} (DB_DRIVER): credenciais do Firebase dispensadas`, 'info');
+        results.environment.details.push({ name: 'DB_DRIVER', status: 'ok', driver: modo });
+    }
+    
     // Validações específicas
-    if (process.env.FIREBASE_PRIVATE_KEY) {
+    if (modo === 'firestore' && process.env.FIREBASE_PRIVATE_KEY) {
         const keyValid = process.env.FIREBASE_PRIVATE_KEY.includes('BEGIN PRIVATE KEY');
         if (!keyValid) {
             warn('FIREBASE_PRIVATE_KEY', 'Formato da chave pode estar incorreto');
         }
     }
     
-    if (process.env.FIREBASE_CLIENT_EMAIL) {
+    if (modo === 'firestore' && process.env.FIREBASE_CLIENT_EMAIL) {
         const emailValid = process.env.FIREBASE_CLIENT_EMAIL.includes('@') && 
                           process.env.FIREBASE_CLIENT_EMAIL.includes('.iam.gserviceaccount.com');
         if (!emailValid) {
@@ -195,38 +242,37 @@ async function checkServer() {
 }
 
 // =====================================
-// TESTES DO FIREBASE
+// TESTES DO BANCO DE DADOS (FIRESTORE, EMULADOR OU LOCAL)
 // =====================================
-async function checkFirebase() {
-    log('FIREBASE FIRESTORE', 'section');
+async function checkDatabase() {
+    const modo = modoBanco();
+    log(NOMES_BANCO[modo].toUpperCase(), 'section');
     
     try {
-        const admin = require('firebase-admin');
-        
-        // Inicializar Firebase se ainda não estiver
-        if (!admin.apps.length) {
-            const privateKey = process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n');
-            
-            admin.initializeApp({
-                credential: admin.credential.cert({
-                    projectId: process.env.FIREBASE_PROJECT_ID,
-                    privateKey: privateKey,
-                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-                }),
-            });
+        // Emuladores fora do ar deixariam o SDK tentando reconectar: confere antes
+        if (modo === 'emulador') {
+            for (const [servico, host] of Object.entries(emulatorHosts())) {
+                const emulador = await httpRequest(`http://${host}/`);
+                if (!test(`Emulador ${servico}`, emulador.success, emulador.success ? host : `${host} - ${emulador.error || 'não respondeu'}`)) {
+                    results.database.status = 'failed';
+                    results.database.details.push({ test: `emulator_${servico}`, status: 'failed', host });
+                    return false;
+                }
+            }
         }
         
-        const db = admin.firestore();
+        const { db } = createDatabase();
         
         // Teste 1: Conexão básica
-        test('Firebase Admin SDK', true, `Project: ${process.env.FIREBASE_PROJECT_ID}`);
-        results.firebase.details.push({ test: 'sdk_init', status: 'ok' });
+        const descricao = modo === 'local' ? `Arquivo: ${process.env.DB_FILE || '.data/db.json'}` : `Project: ${firebaseProjectId() || '-'}`;
+        test(modo === 'firestore' || modo === 'emulador' ? 'Firebase Admin SDK' : NOMES_BANCO[modo], true, descricao);
+        results.database.details.push({ test: 'sdk_init', status: 'ok', mode: modo });
         
         // Teste 2: Listar coleções
         const collections = await db.listCollections();
         const collectionNames = collections.map(c => c.id);
-        test('Acesso ao Firestore', true, `Coleções: ${collectionNames.join(', ') || 'nenhuma'}`);
-        results.firebase.details.push({ test: 'list_collections', status: 'ok', collections: collectionNames });
+        test('Acesso ao banco', true, `Coleções: ${collectionNames.join(', ') || 'nenhuma'}`);
+        results.database.details.push({ test: 'list_collections', status: 'ok', collections: collectionNames });
         
         // Teste 3: Verificar se coleção 'cadastros' existe
         const hasCadastros = collectionNames.includes('cadastros');
@@ -236,9 +282,11 @@ async function checkFirebase() {
             // Teste 4: Contar documentos
             const snapshot = await db.collection('cadastros').limit(100).get();
             log(`   📊 Total de cadastros: ${snapshot.size}`, 'info');
-            results.firebase.details.push({ test: 'cadastros_count', count: snapshot.size });
+            results.database.details.push({ test: 'cadastros_count', count: snapshot.size });
         } else {
-            warn('Coleção "cadastros"', 'Ainda não existe (será criada no primeiro cadastro)');
+            warn('Coleção "cadastros"', modo === 'firestore'
+                ? 'Ainda não existe (será criada no primeiro cadastro)'
+                : 'Ainda não existe (npm run db:seed grava cadastros de exemplo)');
         }
         
         // Teste 5: Teste de escrita (com rollback)
@@ -251,58 +299,51 @@ async function checkFirebase() {
         await testDocRef.set(testData);
         const testDoc = await testDocRef.get();
         const writeSuccess = testDoc.exists && testDoc.data().test === true;
-        test('Escrita no Firestore', writeSuccess, 'Teste de escrita OK');
+        test('Escrita no banco', writeSuccess, 'Teste de escrita OK');
         
         // Limpar documento de teste
         await testDocRef.delete();
         test('Limpeza de teste', true, 'Documento de teste removido');
         
-        results.firebase.status = 'passed';
-        results.firebase.details.push({ test: 'write_test', status: 'ok' });
+        results.database.status = 'passed';
+        results.database.details.push({ test: 'write_test', status: 'ok' });
         
         return true;
         
     } catch (error) {
-        test('Firebase Firestore', false, error.message);
-        results.firebase.status = 'failed';
-        results.firebase.details.push({ test: 'connection', status: 'failed', error: error.message });
+        test(NOMES_BANCO[modo], false, error.message);
+        results.database.status = 'failed';
+        results.database.details.push({ test: 'connection', status: 'failed', error: error.message });
         return false;
     }
 }
 
 // =====================================
-// TESTES DO RESEND (EMAIL)
+// TESTES DO ENVIO DE EMAILS
 // =====================================
-async function checkResend() {
-    log('RESEND EMAIL API', 'section');
+async function checkEmail() {
+    log('ENVIO DE EMAILS', 'section');
     
     try {
-        const { Resend } = require('resend');
-        const resend = new Resend(process.env.RESEND_API_KEY);
+        // Teste 1: Transporte configurado (MAIL_DRIVER, ver lib/mail)
+        const mailer = createMailer();
+        test('Transporte de email', true, mailer.driver);
+        results.email.details.push({ test: 'driver', status: 'ok', driver: mailer.driver });
         
-        // Teste 1: Verificar API Key
-        test('Resend API Key', true, 'Chave configurada');
-        results.resend.details.push({ test: 'api_key', status: 'ok' });
-        
-        // Teste 2: Listar domínios (valida a API key)
+        // Teste 2: Conexão com o transporte (API key, servidor SMTP ou pasta)
         try {
-            const domains = await resend.domains.list();
-            test('Conexão com Resend', true, 'API respondeu corretamente');
-            results.resend.details.push({ test: 'api_connection', status: 'ok' });
-            
-            if (domains.data && domains.data.length > 0) {
-                log(`   📧 Domínios configurados: ${domains.data.map(d => d.name).join(', ')}`, 'info');
-            } else {
-                log(`   📧 Usando domínio padrão: onboarding@resend.dev`, 'info');
-            }
+            const descricao = await mailer.verify();
+            test(`Conexão (${mailer.driver})`, true, 'Transporte respondeu corretamente');
+            results.email.details.push({ test: 'connection', status: 'ok' });
+            log(`   📧 ${descricao}`, 'info');
         } catch (apiError) {
-            // API key inválida ou sem permissão
-            if (apiError.message?.includes('API key')) {
-                test('Conexão com Resend', false, 'API Key inválida');
-                results.resend.status = 'failed';
+            // API key inválida, servidor recusou ou pasta sem permissão
+            if (apiError.message?.includes('API key') || mailer.driver !== 'resend') {
+                test(`Conexão (${mailer.driver})`, false, apiError.message);
+                results.email.status = 'failed';
                 return false;
             }
-            // Outros erros podem ser OK (rate limit, etc)
+            // Outros erros do Resend podem ser OK (rate limit, etc)
             warn('Resend API', apiError.message);
         }
         
@@ -313,13 +354,13 @@ async function checkResend() {
         test('Email destino', !!emailTo && emailTo.includes('@'), emailTo);
         test('Email origem', !!emailFrom && emailFrom.includes('@'), emailFrom);
         
-        results.resend.status = 'passed';
+        results.email.status = 'passed';
         return true;
         
     } catch (error) {
-        test('Resend Email API', false, error.message);
-        results.resend.status = 'failed';
-        results.resend.details.push({ test: 'initialization', status: 'failed', error: error.message });
+        test('Envio de Emails', false, error.message);
+        results.email.status = 'failed';
+        results.email.details.push({ test: 'initialization', status: 'failed', error: error.message });
         return false;
     }
 }
@@ -340,8 +381,8 @@ async function checkIntegration() {
     const allComponentsOk = 
         results.environment.status === 'passed' &&
         results.server.status === 'passed' &&
-        results.firebase.status === 'passed' &&
-        results.resend.status === 'passed';
+        results.database.status === 'passed' &&
+        results.email.status === 'passed';
     
     if (allComponentsOk) {
         test('Integração de Componentes', true, 'Todos os sistemas comunicando');
@@ -436,8 +477,8 @@ function printReport() {
     const components = [
         { name: 'Variáveis de Ambiente', result: results.environment },
         { name: 'Servidor Backend', result: results.server },
-        { name: 'Firebase Firestore', result: results.firebase },
-        { name: 'Resend Email API', result: results.resend },
+        { name: NOMES_BANCO[modoBanco()], result: results.database },
+        { name: 'Envio de Emails', result: results.email },
         { name: 'Integração', result: results.integration }
     ];
     
@@ -503,8 +544,8 @@ async function main() {
         // Executar todos os testes em sequência
         await checkEnvironment();
         await checkServer();
-        await checkFirebase();
-        await checkResend();
+        await checkDatabase();
+        await checkEmail();
         await checkIntegration();
         
         // Mostrar relatório
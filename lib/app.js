@@ -0,0 +1,212 @@
+/**
+ * Aplicação Express - Paraty GO!
+ *
+ * Montada tanto pelo servidor local (server.js) quanto pela função
+ * serverless da Vercel (api/index.js). O banco de documentos e o
+ * transporte de emails podem ser injetados; quando omitidos, são criados a
+ * partir das variáveis de ambiente (ver lib/db e lib/mail).
+ *
+ * Opções:
+ *   db              - instância do Firestore (ou compatível, ver lib/db)
+ *   cadastros       - repositório dos cadastros (ver lib/cadastros.js)
+ *   mailer          - transporte dos emails (ver lib/mail)
+ *   serverTimestamp - função que gera o timestamp salvo em dataEnvio
+ *   storage         - armazenamento dos documentos (ver lib/storage)
+ *   scanner         - verificação dos documentos enviados (ver lib/scanner)
+ *   verifyIdToken   - valida o ID token do Firebase Auth dos revisores
+ *   adminEmails     - emails com acesso à área administrativa
+ *   captcha         - verificador de CAPTCHA (ver lib/captcha.js)
+ *   rateLimits      - limites { ip, email, rascunho, rascunhoEmail, rascunhoEmailIp, cep } do cadastro (ver lib/rate-limit.js)
+ *   minFillMs       - tempo mínimo de preenchimento do formulário
+ *   trustProxy      - confiar no X-Forwarded-For (padrão: apenas na Vercel)
+ *   tracking        - links de acompanhamento do parceiro (ver lib/tracking.js)
+ *   cnpjLookup      - consulta da razão social pelo CNPJ (ver lib/cnpj-lookup); null desativa
+ *   cepLookup       - consulta de endereço pelo CEP (ver lib/cep-lookup)
+ *   termos          - versões dos termos de parceria (ver lib/termos.js)
+ *   outbox          - fila de saída dos emails (ver lib/outbox.js)
+ *   cronSecret      - chave do processamento da fila de emails pelo cron
+ *                     (padrão: CRON_SECRET, enviada pelo cron da Vercel)
+ *   staticDir       - pasta servida como arquivos estáticos (apenas local)
+ *
+ * A fila de emails fica em app.locals.outbox, para o servidor local iniciar
+ * o processamento periódico (outbox.start()), e o transporte em
+ * app.locals.mailer.
+ */
+
+const express = require('express');
+const cors = require('cors');
+const { createCadastroRouter } = require('./routes/cadastro');
+const { createAdminRouter } = require('./routes/admin');
+const { createCepRouter } = require('./routes/cep');
+const { createRascunhoRouter } = require('./routes/rascunhos');
+const { createTermosRouter } = require('./routes/termos');
+const { createReviewerAuth, parseAdminEmails } = require('./auth');
+const { createStorage } = require('./storage');
+const { createScanner } = require('./scanner');
+const { STATUS } = require('./status');
+const { uploadPolicy, uploadMessages } = require('./upload');
+const { CATEGORIAS_SERVICO } = require('./categorias');
+const { REGIOES } = require('./regioes');
+const { createCaptchaVerifier } = require('./captcha');
+const { createCadastroRateLimits } = require('./rate-limit');
+const { createTracking } = require('./tracking');
+const { createCnpjLookup } = require('./cnpj-lookup');
+const { createCepLookup } = require('./cep-lookup');
+const { createTermos } = require('./termos');
+const { createOutbox } = require('./outbox');
+const { createMailer } = require('./mail');
+const { createDatabase } = require('./db');
+const { createCadastroRepository } = require('./cadastros');
+const { emulatorHosts, firebaseProjectId } = require('./emulator');
+const { IDIOMAS, NOMES_IDIOMAS, resolveIdioma, createTranslator, i18nMiddleware, pageTextos, localizeCategorias, localizeRegioes, localizeStatus } = require('./i18n');
+
+// Carregado sob demanda para que clientes injetados dispensem o Firebase Admin
+const firebase = () => require('./firebase');
+
+function createApp(options = {}) {
+    const database = options.db ? { db: options.db } : createDatabase();
+    const db = database.db;
+    const serverTimestamp = options.serverTimestamp || database.serverTimestamp || firebase().serverTimestamp;
+    const cadastros = options.cadastros || createCadastroRepository({ db });
+    const mailer = options.mailer || createMailer();
+    const storage = options.storage || createStorage();
+    const scanner = options.scanner || createScanner();
+    const verifyIdToken = options.verifyIdToken || (token => firebase().getAuth().verifyIdToken(token));
+    const adminEmails = options.adminEmails || parseAdminEmails(process.env.ADMIN_EMAILS);
+    const captcha = options.captcha || createCaptchaVerifier();
+    const rateLimits = options.rateLimits || createCadastroRateLimits();
+    const minFillMs = options.minFillMs ?? Number(process.env.MIN_FILL_SECONDS ?? 3) * 1000;
+    const tracking = options.tracking || createTracking({
+        secret: process.env.TRACKING_SECRET,
+        baseUrl: process.env.APP_URL || `http://localhost:${process.env.PORT || 3001}`
+    });
+
+    const cnpjLookup = options.cnpjLookup !== undefined ? options.cnpjLookup : createCnpjLookup();
+    const cepLookup = options.cepLookup || createCepLookup();
+    const termos = options.termos || createTermos();
+    const outbox = options.outbox || createOutbox({ db, mailer, storage });
+    const cronSecret = options.cronSecret ?? process.env.CRON_SECRET;
+
+    const requireReviewer = createReviewerAuth({ verifyIdToken, adminEmails });
+
+    // Login do painel pelo emulador de Auth (ver lib/emulator.js)
+    const authEmulator = emulatorHosts().auth;
+
+    const app = express();
+    app.locals.outbox = outbox;
+    app.locals.mailer = mailer;
+
+    // IP real do cliente atrás do proxy da Vercel, usado nos limites por IP
+    app.set('trust proxy', options.trustProxy ?? !!process.env.VERCEL);
+
+    // Middleware
+    app.use(cors());
+    // Idioma de cada requisição (req.idioma / req.t), ver lib/i18n. Vem antes
+    // da leitura do corpo para que os erros dela também saiam traduzidos
+    app.use(i18nMiddleware);
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+
+    if (options.staticDir) {
+        app.use(express.static(options.staticDir));
+    }
+
+    // Rotas da API
+    app.use('/api', createCadastroRouter({ db, cadastros, outbox, storage, scanner, serverTimestamp, captcha, rateLimits, minFillMs, tracking, cnpjLookup, termos }));
+    app.use('/api', createRascunhoRouter({ db, outbox, tracking, rateLimits }));
+    app.use('/api', createCepRouter({ cepLookup, rateLimits }));
+    app.use('/api', createTermosRouter({ termos }));
+    app.use('/api/admin', createAdminRouter({ db, cadastros, outbox, storage, requireReviewer, tracking, termos }));
+
+    // Configuração pública usada pelas páginas (CAPTCHA, upload, categorias, regiões e login do painel de revisão).
+    // Rótulos e mensagens no idioma da requisição (?idioma=, cookie ou Accept-Language)
+    app.get('/api/config', (req, res) => {
+        res.json({
+            firebase: {
+                // O emulador de Auth aceita qualquer apiKey
+                apiKey: process.env.FIREBASE_WEB_API_KEY || (authEmulator ? 'emulador' : undefined),
+                authDomain: process.env.FIREBASE_AUTH_DOMAIN || (firebaseProjectId() ? `${firebaseProjectId()}.firebaseapp.com` : null),
+                projectId: firebaseProjectId() || null,
+                authEmulatorUrl: authEmulator ? `http://${authEmulator}` : null
+            },
+            captcha: captcha.publicConfig,
+            upload: { ...uploadPolicy, messages: uploadMessages(req.t) },
+            categorias: localizeCategorias(CATEGORIAS_SERVICO, req.t),
+            regioes: localizeRegioes(REGIOES, req.t),
+            status: localizeStatus(STATUS, req.t),
+            idioma: req.idioma,
+            idiomas: NOMES_IDIOMAS
+        });
+    });
+
+    // Textos das páginas no idioma escolhido no seletor
+    app.get('/api/i18n/:idioma', (req, res) => {
+        const idioma = resolveIdioma(req.params.idioma);
+
+        if (!idioma) {
+            return res.status(404).json({ success: false, message: `Idioma não disponível. Use ${IDIOMAS.join(', ')}.` });
+        }
+
+        res.json({ success: true, idioma, idiomas: NOMES_IDIOMAS, textos: pageTextos(idioma) });
+    });
+
+    // Processamento da fila de emails pelo cron da Vercel (ver vercel.json),
+    // autenticado com `Authorization: Bearer <CRON_SECRET>`
+    app.get('/api/emails/processar', async (req, res) => {
+        if (!cronSecret || req.get('authorization') !== `Bearer ${cronSecret}`) {
+            return res.status(401).json({ success: false, message: 'Não autorizado' });
+        }
+
+        try {
+            const resumo = await outbox.processarPendentes();
+            res.json({ success: true, ...resumo });
+        } catch (error) {
+            console.error('❌ Erro ao processar a fila de emails:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao processar a fila de emails.',
+                error: error.message
+            });
+        }
+    });
+
+    // Rota de health check
+    app.get('/api/health', (req, res) => {
+        res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    });
+
+    // Catch-all para API
+    app.all('/api/*', (req, res) => {
+        res.status(404).json({ error: 'Rota não encontrada' });
+    });
+
+    // Erros que não foram tratados nas rotas. Corpo JSON ou multipart que
+    // não pôde ser lido (body-parser, Multer) responde com o status 4xx do
+    // erro; os demais, 500. Sempre em JSON, no idioma da requisição
+    app.use((error, req, res, next) => {
+        if (res.headersSent) return next(error);
+
+        const t = req.t || createTranslator();
+        const status = error.status || error.statusCode;
+
+        if (status >= 400 && status < 500) {
+            console.warn('🚫 Corpo da requisição inválido:', req.method, req.path, error.message);
+            return res.status(status).json({
+                success: false,
+                message: t('api.requisicaoInvalida'),
+                error: error.message
+            });
+        }
+
+        console.error('❌ Erro não tratado:', error);
+        res.status(500).json({
+            success: false,
+            message: t('api.erroInterno'),
+            error: error.message
+        });
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
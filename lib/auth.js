@@ -0,0 +1,47 @@
+/**
+ * Autenticação dos revisores da área administrativa
+ *
+ * O painel faz login pelo Firebase Authentication e envia o ID token no
+ * header `Authorization: Bearer <token>`. Apenas os emails listados em
+ * ADMIN_EMAILS (separados por vírgula) são aceitos como revisores, e só
+ * depois de verificados: uma conta criada com o email de um revisor, sem
+ * acesso à caixa de entrada, não entra no painel.
+ */
+
+function parseAdminEmails(value = '') {
+    return value
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function createReviewerAuth({ verifyIdToken, adminEmails }) {
+    return async function requireReviewer(req, res, next) {
+        const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+
+        if (!match) {
+            return res.status(401).json({ success: false, message: 'Autenticação necessária' });
+        }
+
+        let decoded;
+        try {
+            decoded = await verifyIdToken(match[1]);
+        } catch (error) {
+            return res.status(401).json({ success: false, message: 'Sessão inválida ou expirada' });
+        }
+
+        const email = (decoded.email || '').toLowerCase();
+        if (!adminEmails.includes(email)) {
+            return res.status(403).json({ success: false, message: 'Acesso restrito à equipe Paraty GO!' });
+        }
+
+        if (decoded.email_verified !== true) {
+            return res.status(403).json({ success: false, message: 'Confirme seu email antes de acessar o painel' });
+        }
+
+        req.reviewer = { uid: decoded.uid, email };
+        next();
+    };
+}
+
+module.exports = { createReviewerAuth, parseAdminEmails };
@@ -0,0 +1,67 @@
+/**
+ * Repositório dos cadastros de parceiros (coleção `cadastros`)
+ *
+ * Concentra as consultas e gravações dos cadastros, sobre qualquer banco
+ * de lib/db (Firestore ou local). Os documentos voltam como snapshots
+ * ({ id, exists, data() }), como no Firestore. Gravações que precisam sair
+ * junto com os emails da fila recebem o batch (ver lib/outbox.js).
+ */
+
+const COLECAO = 'cadastros';
+
+function createCadastroRepository({ db }) {
+    const colecao = () => db.collection(COLECAO);
+
+    return {
+        // ID de um novo cadastro, gerado antes da gravação para guardar os arquivos sob ele
+        newId() {
+            return colecao().doc().id;
+        },
+
+        // Cadastro pelo ID, ou null se não existe
+        async get(id) {
+            const doc = await colecao().doc(id).get();
+            return doc.exists ? doc : null;
+        },
+
+        /**
+         * Cadastros mais recentes primeiro, com filtros opcionais por status,
+         * categoria, região e período de envio (`de` e `ate` são Dates).
+         * `depoisDe` é o snapshot do último cadastro da página anterior.
+         * Os filtros usam os índices compostos de firestore.indexes.json
+         */
+        async list({ status = null, categoria = null, regiao = null, de = null, ate = null, depoisDe = null, limite }) {
+            let query = colecao().orderBy('dataEnvio', 'desc');
+            if (status) query = query.where('status', '==', status);
+            if (categoria) query = query.where('categoria', '==', categoria);
+            if (regiao) query = query.where('regiao', '==', regiao);
+            if (de) query = query.where('dataEnvio', '>=', de);
+            if (ate) query = query.where('dataEnvio', '<=', ate);
+            if (depoisDe) query = query.startAfter(depoisDe);
+
+            const snapshot = await query.limit(limite).get();
+            return snapshot.docs;
+        },
+
+        // Cadastros com o mesmo valor normalizado em `chaves` (ver lib/duplicates.js)
+        async findByChave(campo, valor) {
+            const snapshot = await colecao().where(`chaves.${campo}`, '==', valor).get();
+            return snapshot.docs;
+        },
+
+        create(batch, id, cadastro) {
+            batch.set(colecao().doc(id), cadastro);
+        },
+
+        // Sem batch, a alteração é gravada na hora (retorna a promise)
+        update(id, changes, batch = null) {
+            if (batch) {
+                batch.update(colecao().doc(id), changes);
+                return null;
+            }
+            return colecao().doc(id).update(changes);
+        }
+    };
+}
+
+module.exports = { createCadastroRepository };
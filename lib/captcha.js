@@ -0,0 +1,68 @@
+/**
+ * Verificação de CAPTCHA opcional no formulário de cadastro
+ *
+ * Todo verificador expõe:
+ *   field            - campo do formulário com o token gerado pelo widget
+ *   publicConfig     - dados enviados ao frontend via /api/config (ou null)
+ *   verify(token, ip) - resolve true quando o token é válido
+ *
+ * Escolhido por CAPTCHA_PROVIDER ('turnstile' ou 'hcaptcha'), com as chaves
+ * CAPTCHA_SITE_KEY e CAPTCHA_SECRET. Sem provedor configurado, a
+ * verificação fica desativada.
+ */
+
+const PROVIDERS = {
+    turnstile: {
+        field: 'cf-turnstile-response',
+        verifyUrl: 'https://challenges.cloudflare.com/turnstile/v0/siteverify'
+    },
+    hcaptcha: {
+        field: 'h-captcha-response',
+        verifyUrl: 'https://api.hcaptcha.com/siteverify'
+    }
+};
+
+function createCaptchaVerifier(env = process.env) {
+    const provider = env.CAPTCHA_PROVIDER;
+
+    if (!provider) {
+        return {
+            field: null,
+            publicConfig: null,
+            verify: async () => true
+        };
+    }
+
+    const config = PROVIDERS[provider];
+    if (!config) {
+        throw new Error(`CAPTCHA_PROVIDER desconhecido: ${provider}`);
+    }
+
+    return {
+        field: config.field,
+        publicConfig: { provider, siteKey: env.CAPTCHA_SITE_KEY },
+
+        async verify(token, ip) {
+            if (!token) return false;
+
+            const response = await fetch(config.verifyUrl, {
+                method: 'POST',
+                body: new URLSearchParams({ secret: env.CAPTCHA_SECRET, response: token, remoteip: ip })
+            });
+            const result = await response.json();
+
+            return result.success === true;
+        }
+    };
+}
+
+// Verificador local para testes: aceita apenas o token informado
+function createStubCaptcha({ validToken = 'captcha-ok' } = {}) {
+    return {
+        field: 'captchaToken',
+        publicConfig: { provider: 'stub', siteKey: 'stub' },
+        verify: async token => token === validToken
+    };
+}
+
+module.exports = { createCaptchaVerifier, createStubCaptcha };
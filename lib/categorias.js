@@ -0,0 +1,148 @@
+/**
+ * Categorias de serviço do cadastro de parceiros
+ *
+ * Definição única usada pelo servidor (validação e emails) e entregue às
+ * páginas via /api/config: o formulário monta os campos específicos de
+ * cada categoria e o painel exibe os rótulos a partir daqui.
+ *
+ * `campos` segue as regras de lib/validation.js, com `label` para a tela.
+ * Os valores ficam salvos em `detalhes` no cadastro, já tipados.
+ *
+ * `exige` lista os documentos obrigatórios da categoria: 'documento' (CPF ou
+ * CNPJ) e 'cadastur' (registro no Ministério do Turismo). Nas demais categorias o CPF/CNPJ e o CADASTUR são opcionais.
+ */
+
+// Campos das embarcações de passeio
+const CAMPOS_EMBARCACAO = {
+    inscricaoEmbarcacao: {
+        label: 'Inscrição da Embarcação (Capitania dos Portos)',
+        placeholder: 'Número de inscrição no TIE',
+        required: true,
+        minLength: 5,
+        maxLength: 30
+    },
+    passageirosMax: {
+        label: 'Capacidade Máxima de Passageiros',
+        type: 'number',
+        integer: true,
+        required: true,
+        min: 1,
+        max: 500
+    }
+};
+
+const CATEGORIAS_SERVICO = {
+    'passeio-lancha': {
+        rotulo: 'Passeio de Lancha',
+        placeholder: 'Ex: Lancha para até 12 pessoas, com cooler e som',
+        exige: ['documento'],
+        campos: CAMPOS_EMBARCACAO
+    },
+    'passeio-escuna': {
+        rotulo: 'Passeio de Escuna',
+        placeholder: 'Ex: Escuna para 40 pessoas, com bar e banheiro',
+        exige: ['documento'],
+        campos: CAMPOS_EMBARCACAO
+    },
+    'passeio-barco': {
+        rotulo: 'Passeio de Barco',
+        placeholder: 'Ex: Barco para 8 pessoas, roteiro personalizado'
+    },
+    'passeio-kayak': {
+        rotulo: 'Passeio de Kayak / Stand Up',
+        placeholder: 'Ex: 10 kayaks disponíveis / 5 pranchas de SUP'
+    },
+    'passeio-jeep': {
+        rotulo: 'Passeio de Jeep 4x4',
+        placeholder: 'Ex: Jeep 4x4 para 6 passageiros'
+    },
+    'transfer': {
+        rotulo: 'Transfer',
+        placeholder: 'Ex: Van para 15 passageiros / Carro executivo 4 lugares',
+        exige: ['documento']
+    },
+    'pousada': {
+        rotulo: 'Pousada / Hospedagem',
+        placeholder: 'Ex: 8 quartos, piscina, café da manhã incluso',
+        exige: ['documento', 'cadastur'],
+        campos: {
+            quartos: {
+                label: 'Número de Quartos',
+                type: 'number',
+                integer: true,
+                required: true,
+                min: 1,
+                max: 500
+            }
+        }
+    },
+    'restaurante': {
+        rotulo: 'Restaurante / Gastronomia',
+        placeholder: 'Ex: 50 lugares, especialidade em frutos do mar'
+    },
+    'guia-turismo': {
+        rotulo: 'Guia de Turismo',
+        placeholder: 'Ex: Guia credenciado, trilhas e centro histórico',
+        exige: ['documento', 'cadastur']
+    },
+    'mergulho': {
+        rotulo: 'Mergulho',
+        placeholder: 'Ex: Curso PADI, batismo, mergulho autônomo',
+        campos: {
+            certificacao: {
+                label: 'Nível de Certificação',
+                type: 'select',
+                required: true,
+                options: {
+                    'divemaster': 'Divemaster',
+                    'instrutor': 'Instrutor (OWSI)',
+                    'instrutor-master': 'Master Instructor / Course Director',
+                    'centro-credenciado': 'Centro de mergulho credenciado (PADI, SSI ou NAUI)'
+                }
+            }
+        }
+    },
+    'trilha': {
+        rotulo: 'Trilhas / Ecoturismo',
+        placeholder: 'Ex: Trilhas leves a moderadas, grupos até 15 pessoas'
+    },
+    'fotografia': {
+        rotulo: 'Fotografia / Vídeo',
+        placeholder: 'Ex: Ensaios, drone, edição profissional'
+    },
+    'aluguel-equipamentos': {
+        rotulo: 'Aluguel de Equipamentos',
+        placeholder: 'Ex: Bicicletas, snorkel, caiaques'
+    },
+    'outro': {
+        rotulo: 'Outro',
+        placeholder: 'Descreva a capacidade ou tipo do seu serviço'
+    }
+};
+
+const CATEGORIAS = Object.keys(CATEGORIAS_SERVICO);
+
+// Schema de validação dos campos específicos da categoria
+function camposSchema(categoria) {
+    const { campos = {} } = CATEGORIAS_SERVICO[categoria] || {};
+
+    return Object.fromEntries(Object.entries(campos).map(([name, campo]) => [
+        name,
+        campo.type === 'select' ? { ...campo, enum: Object.keys(campo.options) } : campo
+    ]));
+}
+
+// Rótulos e valores legíveis dos detalhes de um cadastro, para emails e telas
+function describeDetalhes(categoria, detalhes = {}) {
+    const { campos = {} } = CATEGORIAS_SERVICO[categoria] || {};
+
+    return Object.entries(campos)
+        .filter(([name]) => detalhes[name] !== null && detalhes[name] !== undefined)
+        .map(([name, campo]) => ({
+            campo: name,
+            label: campo.label,
+            valor: campo.options ? campo.options[detalhes[name]] || detalhes[name] : String(detalhes[name])
+        }));
+}
+
+module.exports = { CATEGORIAS_SERVICO, CATEGORIAS, camposSchema, describeDetalhes };
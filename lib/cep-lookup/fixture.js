@@ -0,0 +1,18 @@
+/**
+ * Consulta de CEP offline, a partir de uma lista fixa de endereços
+ * (desenvolvimento e testes). Os registros padrão ficam em fixture.json,
+ * indexados pelo CEP só com dígitos.
+ */
+
+function createFixtureCepLookup({ registros = require('./fixture.json') } = {}) {
+    return {
+        name: 'fixture',
+
+        async lookup(cep) {
+            const registro = registros[cep.replace(/\D/g, '')];
+            return registro ? { ...registro } : null;
+        }
+    };
+}
+
+module.exports = { createFixtureCepLookup };
@@ -0,0 +1,29 @@
+/**
+ * Consulta de endereço pelo CEP, usada pelo formulário para preencher
+ * logradouro e bairro (GET /api/cep/:cep)
+ *
+ * Toda consulta expõe a mesma interface:
+ *   name        - identificação da fonte
+ *   lookup(cep) - resolve { logradouro, bairro, cidade, uf } ou null
+ *                 quando o CEP não existe
+ *
+ * Escolhida por CEP_LOOKUP_DRIVER ('viacep', padrão, ou 'fixture').
+ */
+
+const { createViaCepLookup } = require('./viacep');
+const { createFixtureCepLookup } = require('./fixture');
+
+function createCepLookup(env = process.env) {
+    const driver = env.CEP_LOOKUP_DRIVER || 'viacep';
+
+    switch (driver) {
+        case 'viacep':
+            return createViaCepLookup({ baseUrl: env.CEP_LOOKUP_URL });
+        case 'fixture':
+            return createFixtureCepLookup();
+        default:
+            throw new Error(`CEP_LOOKUP_DRIVER desconhecido: ${driver}`);
+    }
+}
+
+module.exports = { createCepLookup };
@@ -0,0 +1,34 @@
+/**
+ * Consulta de CEP pelo ViaCEP
+ *
+ * GET https://viacep.com.br/ws/<cep>/json/ responde `{ "erro": true }`
+ * para CEP inexistente.
+ */
+
+function createViaCepLookup({ baseUrl = 'https://viacep.com.br/ws', timeoutMs = 5000 } = {}) {
+    return {
+        name: 'viacep',
+
+        async lookup(cep) {
+            const response = await fetch(`${baseUrl}/${encodeURIComponent(cep)}/json/`, {
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            if (!response.ok) {
+                throw new Error(`ViaCEP respondeu ${response.status}`);
+            }
+
+            const dados = await response.json();
+            if (dados.erro) return null;
+
+            return {
+                logradouro: dados.logradouro || null,
+                bairro: dados.bairro || null,
+                cidade: dados.localidade || null,
+                uf: dados.uf || null
+            };
+        }
+    };
+}
+
+module.exports = { createViaCepLookup };
@@ -0,0 +1,33 @@
+/**
+ * Consulta de CNPJ pela BrasilAPI (dados públicos da Receita Federal)
+ *
+ * GET https://brasilapi.com.br/api/cnpj/v1/<cnpj> responde 404 para CNPJ
+ * não encontrado.
+ */
+
+function createBrasilApiCnpjLookup({ baseUrl = 'https://brasilapi.com.br/api/cnpj/v1', timeoutMs = 5000 } = {}) {
+    return {
+        name: 'brasilapi',
+
+        async lookup(cnpj) {
+            const response = await fetch(`${baseUrl}/${encodeURIComponent(cnpj)}`, {
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`BrasilAPI respondeu ${response.status}`);
+            }
+
+            const dados = await response.json();
+
+            return {
+                razaoSocial: dados.razao_social || null,
+                nomeFantasia: dados.nome_fantasia || null,
+                situacao: dados.descricao_situacao_cadastral || null
+            };
+        }
+    };
+}
+
+module.exports = { createBrasilApiCnpjLookup };
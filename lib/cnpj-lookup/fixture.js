@@ -0,0 +1,20 @@
+/**
+ * Consulta de CNPJ offline, a partir de uma lista fixa de registros
+ * (desenvolvimento e testes). Os registros padrão ficam em fixture.json,
+ * indexados pelo CNPJ só com letras e números.
+ */
+
+const { normalizeDocumento } = require('../documentos');
+
+function createFixtureCnpjLookup({ registros = require('./fixture.json') } = {}) {
+    return {
+        name: 'fixture',
+
+        async lookup(cnpj) {
+            const registro = registros[normalizeDocumento(cnpj)];
+            return registro ? { ...registro } : null;
+        }
+    };
+}
+
+module.exports = { createFixtureCnpjLookup };
@@ -0,0 +1,87 @@
+/**
+ * Consulta do CNPJ informado no cadastro
+ *
+ * Toda consulta expõe a mesma interface:
+ *   name         - identificação gravada junto ao resultado
+ *   lookup(cnpj) - resolve { razaoSocial, nomeFantasia, situacao } ou null
+ *                  quando o CNPJ não está registrado
+ *
+ * Escolhida por CNPJ_LOOKUP_DRIVER ('brasilapi' ou 'fixture'). Sem essa
+ * variável a consulta fica desativada. O resultado é gravado no cadastro
+ * em `consultaCnpj`, para a equipe comparar a razão social registrada com
+ * o `nomeEmpresa` informado; uma falha na consulta não impede o cadastro.
+ */
+
+const { createBrasilApiCnpjLookup } = require('./brasilapi');
+const { createFixtureCnpjLookup } = require('./fixture');
+const { tipoDocumento } = require('../documentos');
+const { normalizeNomeEmpresa } = require('../duplicates');
+
+function createCnpjLookup(env = process.env) {
+    const driver = env.CNPJ_LOOKUP_DRIVER;
+
+    switch (driver) {
+        case undefined:
+        case '':
+            return null;
+        case 'brasilapi':
+            return createBrasilApiCnpjLookup({ baseUrl: env.CNPJ_LOOKUP_URL });
+        case 'fixture':
+            return createFixtureCnpjLookup();
+        default:
+            throw new Error(`CNPJ_LOOKUP_DRIVER desconhecido: ${driver}`);
+    }
+}
+
+// Sufixos de natureza jurídica, ignorados na comparação dos nomes
+const SUFIXOS = new Set(['ltda', 'me', 'epp', 'eireli', 'mei', 'slu', 'sa', 's', 'a', 'cia']);
+
+function palavras(nome) {
+    return normalizeNomeEmpresa(nome).split(' ').filter(p => p && !SUFIXOS.has(p));
+}
+
+// O nome informado confere quando ao menos metade das palavras dele
+// aparece na razão social ou no nome fantasia
+function nomeConfere(nomeEmpresa, registrados) {
+    const informado = palavras(nomeEmpresa);
+    if (informado.length === 0) return false;
+
+    return registrados.filter(Boolean).some(registrado => {
+        const encontradas = new Set(palavras(registrado));
+        return informado.filter(p => encontradas.has(p)).length * 2 >= informado.length;
+    });
+}
+
+/**
+ * Consulta o CNPJ dos valores validados do cadastro
+ * @returns {Promise<Object|null>} dados para `consultaCnpj`; null quando a
+ *   consulta está desativada ou o documento é um CPF
+ */
+async function consultarCnpj(lookup, { documento, nomeEmpresa }) {
+    if (!lookup || tipoDocumento(documento) !== 'cnpj') return null;
+
+    const consulta = { fonte: lookup.name, cnpj: documento, data: new Date() };
+
+    try {
+        const registro = await lookup.lookup(documento);
+
+        if (!registro) {
+            console.warn('⚠️ CNPJ não encontrado na consulta:', documento);
+            return { ...consulta, encontrado: false };
+        }
+
+        return {
+            ...consulta,
+            encontrado: true,
+            razaoSocial: registro.razaoSocial,
+            nomeFantasia: registro.nomeFantasia,
+            situacao: registro.situacao,
+            nomeConfere: nomeConfere(nomeEmpresa, [registro.razaoSocial, registro.nomeFantasia])
+        };
+    } catch (error) {
+        console.error('❌ Erro ao consultar CNPJ:', error.message);
+        return { ...consulta, erro: error.message };
+    }
+}
+
+module.exports = { createCnpjLookup, consultarCnpj, nomeConfere };
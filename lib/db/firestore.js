@@ -0,0 +1,19 @@
+/**
+ * Banco de documentos no Firebase Firestore (produção) ou no emulador
+ * do Firestore (ver lib/emulator.js)
+ */
+
+const { getFirestore, serverTimestamp } = require('../firebase');
+const { emulatorHosts } = require('../emulator');
+
+function createFirestoreDatabase() {
+    return {
+        driver: 'firestore',
+        // Endereço do emulador, ou null no Firestore real
+        emulador: emulatorHosts().firestore || null,
+        db: getFirestore(),
+        serverTimestamp
+    };
+}
+
+module.exports = { createFirestoreDatabase };
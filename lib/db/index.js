@@ -0,0 +1,55 @@
+/**
+ * Banco de documentos da aplicação
+ *
+ * Todo driver expõe { driver, db, serverTimestamp }, em que `db` segue a
+ * API do Firestore usada pelas rotas e pela fila de emails (coleções,
+ * consultas e batches) e `serverTimestamp()` gera a data gravada nos campos
+ * dataEnvio/atualizadoEm. Os cadastros são acessados pelo repositório de
+ * lib/cadastros.js.
+ *
+ * O driver é escolhido por DB_DRIVER:
+ *   firestore - Firebase Firestore (credenciais FIREBASE_*) ou o emulador
+ *               do Firestore, sem credenciais (ver lib/emulator.js)
+ *   local     - em memória, salvo em DB_FILE (padrão ./.data/db.json)
+ *   memory    - só em memória, apagado ao encerrar (testes)
+ * Sem essa variável, usa o Firestore quando FIREBASE_PROJECT_ID ou
+ * FIRESTORE_EMULATOR_HOST está definido e o banco local nos demais casos,
+ * para rodar o cadastro completo sem credenciais nem rede. Em produção o
+ * banco local só vale com DB_DRIVER explícito: na Vercel o disco não
+ * persiste e os cadastros se perderiam.
+ */
+
+const path = require('path');
+const { createMemoryDb } = require('./memory');
+const { isProduction } = require('../environment');
+
+// Driver escolhido pela configuração, sem conectar ao banco
+function databaseDriver(env = process.env) {
+    return env.DB_DRIVER || (env.FIREBASE_PROJECT_ID || env.FIRESTORE_EMULATOR_HOST ? 'firestore' : 'local');
+}
+
+function createDatabase(env = process.env) {
+    const driver = databaseDriver(env);
+
+    if (!env.DB_DRIVER && driver === 'local' && isProduction(env)) {
+        throw new Error('Banco de dados não configurado - defina FIREBASE_PROJECT_ID (Firestore) ou DB_DRIVER em produção');
+    }
+
+    switch (driver) {
+        case 'firestore':
+            // Carregado sob demanda para que os demais drivers dispensem o Firebase Admin
+            return require('./firestore').createFirestoreDatabase();
+        case 'local':
+            return {
+                driver,
+                db: createMemoryDb({ file: env.DB_FILE || path.join(__dirname, '..', '..', '.data', 'db.json') }),
+                serverTimestamp: () => new Date()
+            };
+        case 'memory':
+            return { driver, db: createMemoryDb(), serverTimestamp: () => new Date() };
+        default:
+            throw new Error(`DB_DRIVER desconhecido: ${driver}`);
+    }
+}
+
+module.exports = { createDatabase, databaseDriver };
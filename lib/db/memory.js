@@ -0,0 +1,267 @@
+/**
+ * Banco de documentos em memória (desenvolvimento e testes)
+ *
+ * Implementa a parte da API do Firestore usada pela aplicação: coleções e
+ * documentos (get, set, update, create, delete), consultas com where,
+ * orderBy, limit e startAfter, e batches gravados de uma só vez. Os erros de create()
+ * e update() têm os mesmos códigos do Firestore (ALREADY_EXISTS e
+ * NOT_FOUND), então os bloqueios por create() funcionam igual.
+ *
+ * Com `file`, os documentos são carregados do arquivo JSON na criação e
+ * regravados a cada escrita, para sobreviver a reinícios do servidor local.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Códigos gRPC usados pelo Firestore
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+
+const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// ID aleatório de 20 caracteres, no formato dos IDs automáticos do Firestore
+function autoId() {
+    return Array.from(crypto.randomBytes(20), byte => ID_CHARS[byte % ID_CHARS.length]).join('');
+}
+
+function firestoreError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Valor de um campo, aceitando caminhos com ponto ("chaves.email")
+function getField(data, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+// Atualização no formato do Firestore: chaves com ponto alteram campos aninhados
+function applyUpdate(data, changes) {
+    const result = structuredClone(data);
+
+    for (const [fieldPath, value] of Object.entries(changes)) {
+        const keys = fieldPath.split('.');
+        const last = keys.pop();
+        let target = result;
+        for (const key of keys) {
+            if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+            target = target[key];
+        }
+        target[last] = structuredClone(value);
+    }
+
+    return result;
+}
+
+// Datas comparadas pelo instante, como os Timestamps do Firestore
+function comparable(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+function compare(a, b) {
+    const x = comparable(a);
+    const y = comparable(b);
+    if (x === y) return 0;
+    return x < y ? -1 : 1;
+}
+
+// Ordem das consultas: os campos do orderBy e, como no Firestore, o ID do
+// documento no sentido do último campo
+function comparator(ordem) {
+    const desempate = ordem.length > 0 ? ordem[ordem.length - 1].direcao : 'asc';
+
+    return ([idA, a], [idB, b]) => {
+        for (const { field, direcao } of ordem) {
+            const diff = compare(getField(a, field), getField(b, field));
+            if (diff !== 0) return direcao === 'desc' ? -diff : diff;
+        }
+        const diff = compare(idA, idB);
+        return desempate === 'desc' ? -diff : diff;
+    };
+}
+
+function matches(data, { field, op, value }) {
+    const atual = getField(data, field);
+
+    switch (op) {
+        case '==': return atual !== undefined && compare(atual, value) === 0;
+        case '!=': return atual !== undefined && compare(atual, value) !== 0;
+        case '<': return atual !== undefined && compare(atual, value) < 0;
+        case '<=': return atual !== undefined && compare(atual, value) <= 0;
+        case '>': return atual !== undefined && compare(atual, value) > 0;
+        case '>=': return atual !== undefined && compare(atual, value) >= 0;
+        case 'in': return value.some(v => compare(atual, v) === 0);
+        case 'array-contains': return Array.isArray(atual) && atual.some(v => compare(v, value) === 0);
+        default: throw new Error(`Operador não suportado no banco em memória: ${op}`);
+    }
+}
+
+// Datas gravadas no arquivo como { "$data": ISO }, para voltarem como Date
+function encode(colecoes) {
+    return JSON.stringify(colecoes, function (key, value) {
+        return this[key] instanceof Date ? { $data: this[key].toISOString() } : value;
+    });
+}
+
+function decode(json) {
+    return JSON.parse(json, (key, value) =>
+        value && typeof value === 'object' && typeof value.$data === 'string' ? new Date(value.$data) : value);
+}
+
+function createMemoryDb({ file = null } = {}) {
+    // nome da coleção => Map(id => dados)
+    const colecoes = new Map();
+
+    if (file && fs.existsSync(file)) {
+        for (const [nome, docs] of Object.entries(decode(fs.readFileSync(file, 'utf8')))) {
+            colecoes.set(nome, new Map(Object.entries(docs)));
+        }
+    }
+
+    function persist() {
+        if (!file) return;
+        const dados = Object.fromEntries([...colecoes].map(([nome, docs]) => [nome, Object.fromEntries(docs)]));
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, encode(dados));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    function docs(nome) {
+        if (!colecoes.has(nome)) colecoes.set(nome, new Map());
+        return colecoes.get(nome);
+    }
+
+    function snapshot(ref, data) {
+        return {
+            id: ref.id,
+            ref,
+            exists: data !== undefined,
+            data: () => (data === undefined ? undefined : structuredClone(data))
+        };
+    }
+
+    // Escritas de um batch conferidas antes de qualquer alteração:
+    // se uma falha, nenhuma é aplicada
+    function commit(operacoes) {
+        const pendentes = new Map();
+        const atual = ref => {
+            const chave = `${ref.parent}/${ref.id}`;
+            return pendentes.has(chave) ? pendentes.get(chave).data : docs(ref.parent).get(ref.id);
+        };
+
+        for (const { tipo, ref, data } of operacoes) {
+            const chave = `${ref.parent}/${ref.id}`;
+            const existente = atual(ref);
+
+            if (tipo === 'create' && existente !== undefined) {
+                throw firestoreError(ALREADY_EXISTS, `Documento já existe: ${chave}`);
+            }
+            if (tipo === 'update' && existente === undefined) {
+                throw firestoreError(NOT_FOUND, `Documento não encontrado: ${chave}`);
+            }
+
+            const novo = tipo === 'delete' ? undefined
+                : tipo === 'update' ? applyUpdate(existente, data)
+                    : tipo === 'merge' ? applyUpdate(existente || {}, data)
+                        : structuredClone(data);
+            pendentes.set(chave, { ref, data: novo });
+        }
+
+        for (const { ref, data } of pendentes.values()) {
+            if (data === undefined) docs(ref.parent).delete(ref.id);
+            else docs(ref.parent).set(ref.id, data);
+        }
+        persist();
+    }
+
+    function docRef(nome, id = autoId()) {
+        const ref = {
+            id,
+            parent: nome,
+            async get() {
+                return snapshot(ref, docs(nome).get(id));
+            },
+            async set(data, { merge = false } = {}) {
+                commit([{ tipo: merge ? 'merge' : 'set', ref, data }]);
+            },
+            async update(data) {
+                commit([{ tipo: 'update', ref, data }]);
+            },
+            async create(data) {
+                commit([{ tipo: 'create', ref, data }]);
+            },
+            async delete() {
+                commit([{ tipo: 'delete', ref }]);
+            }
+        };
+        return ref;
+    }
+
+    function query(nome, estado = {}) {
+        const { filtros = [], ordem = [], limite = null, depois = null } = estado;
+
+        return {
+            where(field, op, value) {
+                return query(nome, { ...estado, filtros: [...filtros, { field, op, value }] });
+            },
+            orderBy(field, direcao = 'asc') {
+                return query(nome, { ...estado, ordem: [...ordem, { field, direcao }] });
+            },
+            limit(n) {
+                return query(nome, { ...estado, limite: n });
+            },
+            // Cursor de paginação: o snapshot do último documento da página anterior
+            startAfter(doc) {
+                return query(nome, { ...estado, depois: [doc.id, doc.data()] });
+            },
+            async get() {
+                let resultado = [...docs(nome)]
+                    .filter(([, data]) => filtros.every(filtro => matches(data, filtro)))
+                    // Como no Firestore, a ordenação deixa de fora quem não tem o campo
+                    .filter(([, data]) => ordem.every(({ field }) => getField(data, field) !== undefined));
+
+                const ordenar = comparator(ordem);
+                if (ordem.length > 0) resultado.sort(ordenar);
+                if (depois) resultado = resultado.filter(entrada => ordenar(entrada, depois) > 0);
+                if (limite !== null) resultado = resultado.slice(0, limite);
+
+                const lista = resultado.map(([id, data]) => snapshot(docRef(nome, id), data));
+                return { docs: lista, size: lista.length, empty: lista.length === 0, forEach: fn => lista.forEach(fn) };
+            }
+        };
+    }
+
+    return {
+        collection(nome) {
+            return {
+                id: nome,
+                ...query(nome),
+                doc: id => docRef(nome, id),
+                async add(data) {
+                    const ref = docRef(nome);
+                    await ref.create(data);
+                    return ref;
+                }
+            };
+        },
+
+        batch() {
+            const operacoes = [];
+            return {
+                set(ref, data, { merge = false } = {}) { operacoes.push({ tipo: merge ? 'merge' : 'set', ref, data }); return this; },
+                update(ref, data) { operacoes.push({ tipo: 'update', ref, data }); return this; },
+                create(ref, data) { operacoes.push({ tipo: 'create', ref, data }); return this; },
+                delete(ref) { operacoes.push({ tipo: 'delete', ref }); return this; },
+                async commit() { commit(operacoes); }
+            };
+        },
+
+        async listCollections() {
+            return [...colecoes].filter(([, docs]) => docs.size > 0).map(([id]) => ({ id }));
+        }
+    };
+}
+
+module.exports = { createMemoryDb };
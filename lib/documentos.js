@@ -0,0 +1,83 @@
+/**
+ * Documentos de identificação do parceiro: CPF, CNPJ e CADASTUR
+ *
+ * O CNPJ aceita o formato alfanumérico da Receita Federal (a partir de
+ * julho de 2026): os 12 primeiros caracteres podem ter letras e os dígitos
+ * verificadores são calculados com o valor ASCII de cada caractere menos 48,
+ * o que mantém o cálculo antigo para os CNPJs só com números.
+ */
+
+// Apenas letras maiúsculas e números: "12.345.678/0001-95" => "12345678000195"
+function normalizeDocumento(value) {
+    return (value || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+// Dígito verificador no módulo 11, com pesos decrescentes a partir de `peso`
+// e reiniciando em 9 depois do 2 (CNPJ)
+function digitoVerificador(caracteres, pesoInicial, reinicia) {
+    let peso = pesoInicial;
+    let soma = 0;
+
+    for (const caractere of caracteres) {
+        soma += (caractere.charCodeAt(0) - 48) * peso;
+        peso = peso === 2 && reinicia ? 9 : peso - 1;
+    }
+
+    const resto = soma % 11;
+    return resto < 2 ? 0 : 11 - resto;
+}
+
+function isValidCpf(value) {
+    const cpf = normalizeDocumento(value);
+
+    // Sequências como 111.111.111-11 passam no cálculo, mas não existem
+    if (!/^\d{11}$/.test(cpf) || /^(\d)\1{10}$/.test(cpf)) return false;
+
+    return digitoVerificador(cpf.slice(0, 9), 10) === Number(cpf[9])
+        && digitoVerificador(cpf.slice(0, 10), 11) === Number(cpf[10]);
+}
+
+function isValidCnpj(value) {
+    const cnpj = normalizeDocumento(value);
+
+    if (!/^[0-9A-Z]{12}\d{2}$/.test(cnpj) || /^(\d)\1{13}$/.test(cnpj)) return false;
+
+    return digitoVerificador(cnpj.slice(0, 12), 5, true) === Number(cnpj[12])
+        && digitoVerificador(cnpj.slice(0, 13), 6, true) === Number(cnpj[13]);
+}
+
+// 'cpf' ou 'cnpj' pelo tamanho do documento informado, ou null
+function tipoDocumento(value) {
+    const documento = normalizeDocumento(value);
+    if (/^\d{11}$/.test(documento)) return 'cpf';
+    if (documento.length === 14) return 'cnpj';
+    return null;
+}
+
+// Formato de exibição: 000.000.000-00 ou 00.000.000/0000-00
+function formatDocumento(value) {
+    const documento = normalizeDocumento(value);
+
+    switch (tipoDocumento(documento)) {
+        case 'cpf':
+            return documento.replace(/^(.{3})(.{3})(.{3})(.{2})$/, '$1.$2.$3-$4');
+        case 'cnpj':
+            return documento.replace(/^(.{2})(.{3})(.{3})(.{4})(.{2})$/, '$1.$2.$3/$4-$5');
+        default:
+            return value;
+    }
+}
+
+// Número do certificado do CADASTUR: só dígitos e a pontuação do certificado
+function isValidCadastur(value) {
+    return /^[\d.\-/ ]+$/.test(value) && /^\d{8,20}$/.test(value.replace(/\D/g, ''));
+}
+
+module.exports = {
+    normalizeDocumento,
+    isValidCpf,
+    isValidCnpj,
+    isValidCadastur,
+    tipoDocumento,
+    formatDocumento
+};
@@ -0,0 +1,70 @@
+/**
+ * Detecção de cadastros duplicados
+ *
+ * Cada cadastro guarda em `chaves` versões normalizadas do email, dos
+ * dígitos do WhatsApp, do nome da empresa e do CPF/CNPJ, usadas para
+ * encontrar um envio ainda em andamento do mesmo parceiro.
+ */
+
+const { OPEN_STATUSES } = require('./status');
+const { normalizeDocumento } = require('./documentos');
+
+function normalizeEmail(email) {
+    return (email || '').trim().toLowerCase();
+}
+
+// Apenas dígitos, sem o código do país
+function normalizeWhatsapp(whatsapp) {
+    const digits = (whatsapp || '').replace(/\D/g, '');
+    return digits.length > 11 && digits.startsWith('55') ? digits.slice(2) : digits;
+}
+
+// Minúsculas, sem acentos e sem pontuação: "Lancha Paradise - Paraty" => "lancha paradise paraty"
+function normalizeNomeEmpresa(nome) {
+    return (nome || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function buildChaves(values) {
+    return {
+        email: normalizeEmail(values.email),
+        whatsapp: normalizeWhatsapp(values.whatsapp),
+        nomeEmpresa: normalizeNomeEmpresa(values.nomeEmpresa),
+        documento: normalizeDocumento(values.documento)
+    };
+}
+
+/**
+ * Procura um cadastro em andamento com alguma das chaves
+ * @param {object} cadastros repositório dos cadastros (ver lib/cadastros.js)
+ * @param {string} [ignorarId] cadastro desconsiderado na busca (o que está sendo editado)
+ * @returns {Promise<{ doc, matches: string[] } | null>}
+ *   `matches` lista quais chaves coincidiram ('email', 'whatsapp', 'nomeEmpresa', 'documento')
+ */
+async function findOpenDuplicate(cadastros, chaves, ignorarId = null) {
+    const found = new Map();
+
+    // Uma consulta por chave; o status é filtrado em memória para
+    // não exigir índices compostos no Firestore
+    for (const [campo, valor] of Object.entries(chaves)) {
+        if (!valor) continue;
+
+        for (const doc of await cadastros.findByChave(campo, valor)) {
+            if (doc.id === ignorarId || !OPEN_STATUSES.includes(doc.data().status)) continue;
+            const entry = found.get(doc.id) || { doc, matches: [] };
+            entry.matches.push(campo);
+            found.set(doc.id, entry);
+        }
+    }
+
+    // Prioriza o cadastro com o mesmo email, depois o com mais coincidências
+    const candidates = [...found.values()].sort((a, b) =>
+        (b.matches.includes('email') - a.matches.includes('email')) || (b.matches.length - a.matches.length));
+
+    return candidates[0] || null;
+}
+
+module.exports = { buildChaves, findOpenDuplicate, normalizeEmail, normalizeWhatsapp, normalizeNomeEmpresa };
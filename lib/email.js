@@ -0,0 +1,141 @@
+/**
+ * Templates de email - Paraty GO!
+ *
+ * Os templates ficam em templates/email, em Handlebars: `<nome>.html.hbs`
+ * (com escape automático de HTML) e `<nome>.txt.hbs` (parte em texto puro).
+ * Todo dado vindo do formulário passa pelo escape; campos de várias linhas
+ * usam o helper `multiline`, que preserva as quebras de linha.
+ *
+ * Os emails para a equipe são em pt-BR; os enviados ao parceiro saem no
+ * idioma escolhido no formulário (`idioma` do cadastro, ver lib/i18n).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { CATEGORIAS_SERVICO, describeDetalhes } = require('./categorias');
+const { tipoDocumento } = require('./documentos');
+const { REGIOES } = require('./regioes');
+const { IDIOMA_PADRAO, NOMES_IDIOMAS, createTranslator, resolveIdioma } = require('./i18n');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'email');
+
+const hbs = Handlebars.create();
+
+// Valor padrão para campos vazios
+hbs.registerHelper('default', (value, fallback) => value || fallback);
+
+// Escapa o texto e converte quebras de linha em <br>
+hbs.registerHelper('multiline', value => {
+    const escaped = hbs.escapeExpression(value || '');
+    return new hbs.SafeString(escaped.replace(/\r?\n/g, '<br>'));
+});
+
+hbs.registerPartial('layout', readTemplate('layout.html.hbs'));
+
+const compiled = {};
+
+function readTemplate(file) {
+    return fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8');
+}
+
+function compile(file, options) {
+    if (!compiled[file]) {
+        compiled[file] = hbs.compile(readTemplate(file), options);
+    }
+    return compiled[file];
+}
+
+// Renderiza as partes HTML e texto de um template
+function render(name, data, idioma = IDIOMA_PADRAO) {
+    const context = {
+        lang: idioma,
+        enviadoEm: new Date().toLocaleString(idioma, { timeZone: 'America/Sao_Paulo' }),
+        ...data
+    };
+
+    return {
+        html: compile(`${name}.html.hbs`)(context),
+        text: compile(`${name}.txt.hbs`, { noEscape: true })(context)
+    };
+}
+
+// Ponto marcado no mapa do formulário, aberto no OpenStreetMap
+function mapaUrl({ latitude, longitude }) {
+    if (latitude == null || longitude == null) return null;
+    return `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=17/${latitude}/${longitude}`;
+}
+
+// Resultado da consulta do CNPJ em uma linha; `alerta` quando pede conferência
+function describeConsultaCnpj(consulta) {
+    if (!consulta) return null;
+
+    if (consulta.erro) {
+        return { alerta: true, texto: `Consulta do CNPJ indisponível (${consulta.fonte}): ${consulta.erro}` };
+    }
+    if (!consulta.encontrado) {
+        return { alerta: true, texto: `CNPJ não encontrado na consulta (${consulta.fonte})` };
+    }
+
+    const registrado = [consulta.razaoSocial, consulta.nomeFantasia].filter(Boolean).join(' / ');
+    return {
+        alerta: !consulta.nomeConfere || consulta.situacao !== 'ATIVA',
+        texto: `${registrado} · situação ${consulta.situacao || 'não informada'}`
+            + (consulta.nomeConfere ? '' : ' · não confere com o nome informado')
+    };
+}
+
+// Email para a equipe com os dados do formulário (novo envio ou atualização).
+// `fotos` lista as miniaturas anexadas como imagens inline ({ nome, cid })
+function renderCadastroEmail(data, { atualizacao = false, fotos = [] } = {}) {
+    return render('cadastro', {
+        ...data,
+        fotos,
+        categoriaRotulo: (CATEGORIAS_SERVICO[data.categoria] || {}).rotulo || data.categoria,
+        detalhesLista: describeDetalhes(data.categoria, data.detalhes),
+        documentoRotulo: (tipoDocumento(data.documento) || 'CPF/CNPJ').toUpperCase(),
+        consulta: describeConsultaCnpj(data.consultaCnpj),
+        regiaoRotulo: (REGIOES[data.regiao] || {}).rotulo || data.regiao,
+        idiomaRotulo: NOMES_IDIOMAS[data.idioma] || null,
+        mapaUrl: mapaUrl(data),
+        aceiteTermos: data.aceiteTermos && { ...data.aceiteTermos, hashCurto: data.aceiteTermos.hash.slice(0, 12) },
+        // Arquivos reprovados na verificação não seguem como anexo
+        arquivosQuarentena: (data.arquivos || []).filter(a => a.quarentena),
+        subtitle: atualizacao
+            ? 'Cadastro de Parceiro Atualizado pelo Responsável'
+            : 'Nova Solicitação de Cadastro de Parceiro'
+    });
+}
+
+// Emails enviados ao parceiro a cada etapa da análise do cadastro; os
+// textos ficam nos catálogos de tradução (email.tipos.<tipo>)
+const APPLICANT_EMAILS = createTranslator()('email.tipos');
+
+// Email para o parceiro, com a nota do revisor e os links de acompanhamento,
+// edição e retomada do rascunho quando houver
+function renderApplicantEmail(tipo, data, { nota, statusUrl, editUrl, resumeUrl } = {}) {
+    const t = createTranslator(resolveIdioma(data.idioma) || IDIOMA_PADRAO);
+    // A mensagem é montada como texto puro; o escape acontece no template HTML
+    const message = hbs.compile(t(`email.tipos.${tipo}.message`), { noEscape: true })(data);
+
+    return {
+        subject: t(`email.tipos.${tipo}.subject`),
+        ...render('applicant', {
+            ...data,
+            title: t(`email.tipos.${tipo}.title`),
+            textos: t('email.textos'),
+            message,
+            nota,
+            statusUrl,
+            editUrl,
+            resumeUrl
+        }, t.idioma)
+    };
+}
+
+// Email de teste usado por `npm run test:email`
+function renderTestEmail() {
+    return render('teste', {});
+}
+
+module.exports = { renderCadastroEmail, renderApplicantEmail, renderTestEmail, APPLICANT_EMAILS };
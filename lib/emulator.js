@@ -0,0 +1,40 @@
+/**
+ * Emuladores do Firebase (Firebase Local Emulator Suite)
+ *
+ * O Firebase Admin se conecta sozinho aos emuladores indicados nas
+ * variáveis abaixo, sem credenciais de service account:
+ *   FIRESTORE_EMULATOR_HOST        - Firestore (localhost:8080 no firebase.json)
+ *   FIREBASE_AUTH_EMULATOR_HOST    - login do painel de revisão (localhost:9099)
+ *   FIREBASE_STORAGE_EMULATOR_HOST - documentos, com STORAGE_DRIVER=firebase
+ *
+ * `npm run emulators` inicia os emuladores do firebase.json e
+ * `npm run db:seed` grava os cadastros de exemplo (ver lib/seed.js).
+ *
+ * Sem FIREBASE_PROJECT_ID, o projeto é DEMO_PROJECT_ID: projetos com o
+ * prefixo "demo-" nunca acessam serviços reais do Google.
+ */
+
+const DEMO_PROJECT_ID = 'demo-paraty-go';
+
+const EMULATOR_VARS = {
+    firestore: 'FIRESTORE_EMULATOR_HOST',
+    auth: 'FIREBASE_AUTH_EMULATOR_HOST',
+    storage: 'FIREBASE_STORAGE_EMULATOR_HOST'
+};
+
+// Emuladores configurados: { firestore: 'localhost:8080', ... }
+function emulatorHosts(env = process.env) {
+    return Object.fromEntries(Object.entries(EMULATOR_VARS)
+        .filter(([, variavel]) => env[variavel])
+        .map(([servico, variavel]) => [servico, env[variavel]]));
+}
+
+function usingEmulator(env = process.env) {
+    return Object.keys(emulatorHosts(env)).length > 0;
+}
+
+function firebaseProjectId(env = process.env) {
+    return env.FIREBASE_PROJECT_ID || (usingEmulator(env) ? DEMO_PROJECT_ID : undefined);
+}
+
+module.exports = { DEMO_PROJECT_ID, emulatorHosts, usingEmulator, firebaseProjectId };
@@ -0,0 +1,14 @@
+/**
+ * Ambiente de execução
+ *
+ * Em produção (NODE_ENV=production ou na Vercel) as configurações que só
+ * têm alternativa de desenvolvimento - chave dos links, banco, envio de
+ * emails, armazenamento - precisam estar definidas: sem elas a aplicação
+ * falha na inicialização em vez de perder dados ou links em silêncio.
+ */
+
+function isProduction(env = process.env) {
+    return env.NODE_ENV === 'production' || !!env.VERCEL;
+}
+
+module.exports = { isProduction };
@@ -0,0 +1,51 @@
+/**
+ * Inicialização do Firebase Admin - Paraty GO!
+ * Compartilhada entre o servidor local (server.js), a função da Vercel
+ * (api/index.js) e os scripts de monitoramento (monitor.js, db-health.js).
+ *
+ * Com os emuladores configurados (ver lib/emulator.js) e sem
+ * FIREBASE_PRIVATE_KEY, inicializa só com o ID do projeto, sem credenciais.
+ */
+
+const admin = require('firebase-admin');
+const { usingEmulator, firebaseProjectId } = require('./emulator');
+
+function appOptions() {
+    if (usingEmulator() && !process.env.FIREBASE_PRIVATE_KEY) {
+        return { projectId: firebaseProjectId() };
+    }
+
+    return {
+        credential: admin.credential.cert({
+            projectId: process.env.FIREBASE_PROJECT_ID,
+            privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+            clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+        }),
+    };
+}
+
+// Inicializa o Firebase Admin (apenas uma vez)
+function getFirebaseApp() {
+    if (!admin.apps.length) {
+        admin.initializeApp(appOptions());
+    }
+
+    return admin.app();
+}
+
+function getFirestore() {
+    getFirebaseApp();
+    return admin.firestore();
+}
+
+function getAuth() {
+    getFirebaseApp();
+    return admin.auth();
+}
+
+// Marcador de data/hora preenchido pelo servidor do Firestore
+function serverTimestamp() {
+    return admin.firestore.FieldValue.serverTimestamp();
+}
+
+module.exports = { admin, getFirebaseApp, getFirestore, getAuth, serverTimestamp };
@@ -0,0 +1,323 @@
+/**
+ * Catálogo en - inglês
+ */
+
+module.exports = {
+    api: {
+        camposInvalidos: 'Some fields need your attention.',
+        cadastroRealizado: 'Registration completed successfully!',
+        cadastroReenviado: 'We found your registration in progress and updated it with the new details!',
+        cadastroEditado: 'Registration updated! It is back in our team\'s review queue.',
+        envioRapido: 'The form was submitted too quickly. Please review your details and submit again.',
+        captchaInvalido: 'We could not confirm that you are not a robot. Please try again.',
+        envioEmAndamento: 'Your registration is already being submitted. Please wait a moment.',
+        duplicado: 'There is already a registration under review for this business, CPF/CNPJ, WhatsApp or email. We sent the link to follow its progress and update the details to the email address registered on it.',
+        duplicadoEdicao: 'There is already another registration under review with this email, WhatsApp, CPF/CNPJ or business name.',
+        naoEditavel: 'This registration has already been reviewed and can no longer be changed.',
+        linkInvalido: 'Invalid or expired tracking link.',
+        erroProcessar: 'Error processing the registration. Please try again.',
+        erroConsultar: 'Error looking up the registration. Please try again.',
+        erroCarregar: 'Error loading the registration. Please try again.',
+        erroAtualizar: 'Error updating the registration. Please try again.',
+        limiteTentativas: 'We received too many registration attempts. Please wait a few minutes and try again.',
+        arquivosRecusados: 'Some files were not accepted.',
+        rascunhoNaoEncontrado: 'Draft not found or expired.',
+        erroSalvarRascunho: 'Error saving the draft. Please try again.',
+        erroCarregarRascunho: 'Error loading the draft. Please try again.',
+        cepNaoEncontrado: 'Postal code (CEP) not found.',
+        cepIndisponivel: 'We could not look up the postal code right now. Please fill in the address manually.',
+        termosNaoEncontrados: 'Terms version not found.',
+        termosAceitos: 'Your acceptance of the terms has been recorded. Thank you!',
+        erroAceitarTermos: 'Error recording your acceptance of the terms. Please try again.',
+        requisicaoInvalida: 'We could not read the data you sent. Please reload the page and try again.',
+        erroInterno: 'Internal server error. Please try again.'
+    },
+
+    validacao: {
+        obrigatorio: 'Required field',
+        minLength: 'Must be at least {{min}} characters long',
+        maxLength: 'Must be at most {{max}} characters long',
+        opcaoInvalida: 'Select a valid option',
+        inteiro: 'Enter a whole number',
+        numero: 'Enter a valid number',
+        minimo: 'Must be at least {{min}}',
+        maximo: 'Must be at most {{max}}',
+        email: 'Enter a valid email address',
+        whatsapp: 'Enter a valid WhatsApp number with area code',
+        cep: 'Enter a valid postal code (00000-000)',
+        cpfCnpj: 'Enter a valid CPF or CNPJ',
+        cnpj: 'Enter a valid CNPJ',
+        cadastur: 'Enter the CADASTUR number as shown on the certificate',
+        cadasturCategoria: 'CADASTUR is required for this category',
+        termos: 'You must accept the partnership terms',
+        termosDesatualizados: 'The partnership terms have been updated. Read the new version and accept it again',
+        localMapa: 'Mark the location on the map again'
+    },
+
+    upload: {
+        type: 'File type not accepted. Please send {{tipos}}.',
+        size: 'File larger than {{tamanho}} MB.',
+        count: 'Send at most {{quantidade}} files.',
+        content: 'The file contents do not match the format indicated by its extension.',
+        field: 'Send the files through the documents field of the form.'
+    },
+
+    email: {
+        tipos: {
+            recebido: {
+                subject: '🌴 We received your registration - Paraty GO!',
+                title: 'We received your registration!',
+                message: 'We received the registration for {{nomeEmpresa}}. Our team will review your service and get in touch within 48 hours.'
+            },
+            atualizado: {
+                subject: '🔁 We received your registration update - Paraty GO!',
+                title: 'Registration updated!',
+                message: 'We received the new details for {{nomeEmpresa}} and they are now part of the ongoing review.'
+            },
+            aprovado: {
+                subject: '🎉 Your registration was approved - Paraty GO!',
+                title: 'Registration approved!',
+                message: 'The registration for {{nomeEmpresa}} was approved. Welcome to Paraty GO! We will contact you soon with the next steps.'
+            },
+            rejeitado: {
+                subject: 'Update on your registration - Paraty GO!',
+                title: 'Update on your registration',
+                message: 'After review, we were unable to approve the registration for {{nomeEmpresa}} at this time.'
+            },
+            rascunho: {
+                subject: '📝 Continue your registration - Paraty GO!',
+                title: 'Your registration is saved',
+                message: 'We saved your registration. Use the link below to pick up where you left off, on any device. The draft is available for {{diasValidade}} days.'
+            },
+            pendente_documentos: {
+                subject: '📎 We need more information - Paraty GO!',
+                title: 'We need more information',
+                message: 'To continue reviewing the registration for {{nomeEmpresa}}, we need some additional documents or information. You can update your details and send new files through the link below.'
+            },
+            link: {
+                subject: '🔗 Your registration in progress - Paraty GO!',
+                title: 'Your registration is already under review',
+                message: 'We received a new form submission for {{nomeEmpresa}}, which already has a registration under review. Use the links below to follow its progress or update your details. If it was not you, you can ignore this email.'
+            }
+        },
+        textos: {
+            saudacao: 'Hello',
+            parceiro: 'partner',
+            mensagemEquipe: 'Message from our team',
+            continuar: 'Continue my registration',
+            continuarTexto: 'Continue your registration',
+            atualizar: 'Update my registration',
+            atualizarTexto: 'Update your registration',
+            acompanhar: 'Track my registration',
+            acompanharTexto: 'Track your registration',
+            enviadoEm: 'Sent on',
+            rodape: 'Paraty GO! - Smart Tourism Platform'
+        }
+    },
+
+    status: {
+        pendente: 'Pending',
+        em_analise: 'Under review',
+        aprovado: 'Approved',
+        rejeitado: 'Rejected',
+        pendente_documentos: 'Awaiting documents'
+    },
+
+    categorias: {
+        'passeio-lancha': { rotulo: 'Speedboat Tour', placeholder: 'E.g. Speedboat for up to 12 people, with cooler and sound system' },
+        'passeio-escuna': { rotulo: 'Schooner Tour', placeholder: 'E.g. Schooner for 40 people, with bar and restroom' },
+        'passeio-barco': { rotulo: 'Boat Tour', placeholder: 'E.g. Boat for 8 people, custom itinerary' },
+        'passeio-kayak': { rotulo: 'Kayak / Stand Up Paddle Tour', placeholder: 'E.g. 10 kayaks available / 5 SUP boards' },
+        'passeio-jeep': { rotulo: '4x4 Jeep Tour', placeholder: 'E.g. 4x4 jeep for 6 passengers' },
+        'transfer': { rotulo: 'Transfer', placeholder: 'E.g. Van for 15 passengers / Executive car for 4' },
+        'pousada': { rotulo: 'Guesthouse / Lodging', placeholder: 'E.g. 8 rooms, pool, breakfast included' },
+        'restaurante': { rotulo: 'Restaurant / Food', placeholder: 'E.g. 50 seats, seafood specialty' },
+        'guia-turismo': { rotulo: 'Tour Guide', placeholder: 'E.g. Licensed guide, trails and historic center' },
+        'mergulho': { rotulo: 'Diving', placeholder: 'E.g. PADI course, discover scuba, autonomous diving' },
+        'trilha': { rotulo: 'Trails / Ecotourism', placeholder: 'E.g. Easy to moderate trails, groups of up to 15 people' },
+        'fotografia': { rotulo: 'Photography / Video', placeholder: 'E.g. Photo shoots, drone, professional editing' },
+        'aluguel-equipamentos': { rotulo: 'Equipment Rental', placeholder: 'E.g. Bicycles, snorkels, kayaks' },
+        'outro': { rotulo: 'Other', placeholder: 'Describe the capacity or type of your service' }
+    },
+
+    campos: {
+        inscricaoEmbarcacao: {
+            label: 'Vessel Registration (Brazilian Navy Port Authority)',
+            placeholder: 'TIE registration number'
+        },
+        passageirosMax: { label: 'Maximum Number of Passengers' },
+        quartos: { label: 'Number of Rooms' },
+        certificacao: {
+            label: 'Certification Level',
+            options: {
+                'divemaster': 'Divemaster',
+                'instrutor': 'Instructor (OWSI)',
+                'instrutor-master': 'Master Instructor / Course Director',
+                'centro-credenciado': 'Accredited dive center (PADI, SSI or NAUI)'
+            }
+        }
+    },
+
+    regioes: {
+        'centro-historico': 'Historic Center',
+        'jabaquara-pontal': 'Jabaquara / Pontal',
+        'cabore-portao-vermelho': 'Caborê / Portão Vermelho',
+        'trindade': 'Trindade',
+        'paraty-mirim': 'Paraty-Mirim',
+        'mamangua-juatinga': 'Saco do Mamanguá / Juatinga',
+        'tarituba-sao-goncalo': 'Tarituba / São Gonçalo',
+        'estrada-paraty-cunha': 'Penha / Paraty-Cunha Road',
+        'ilhas-baia': 'Islands and Paraty Bay',
+        'outra': 'Other location'
+    },
+
+    pagina: {
+        comum: {
+            seletor: 'Language',
+            rodape: '© 2025 Paraty GO! — All rights reserved'
+        },
+        cadastro: {
+            tituloPagina: 'Paraty GO! | The Future of Tourism in Paraty',
+            carregando: 'Loading experiences...',
+            enviandoCadastro: 'Sending your registration...',
+            tagline: 'The future of tourism in Paraty starts with you',
+            taglineSub: 'Tourism Experiences Marketplace',
+            introDestaque: 'It is a great honor to welcome you here.',
+            intro1: 'By reaching this page, you are taking the first step toward joining an <span class="emphasis">ecosystem that is transforming</span> the way tourists discover, book and live the experiences of Paraty.',
+            intro2: '<span class="emphasis">Paraty GO!</span> was born with a clear purpose: <strong>to connect people to the best experiences in our town</strong> — with intelligence, organization and technology.',
+            intro3: 'To do that, we look for partners who share the same values of <span class="emphasis">care, quality and commitment</span> to visitors.',
+            avaliacaoTitulo: 'Why do we carry out a <span>prior review</span>?',
+            avaliacao1: 'To keep our platform <span class="emphasis">transparent, reliable and aligned with tourists\' expectations</span>, we need to make sure every listed service delivers safety, quality and a good experience.',
+            avaliacao2: 'This review is not meant to make joining harder, but to ensure that:',
+            avaliacaoLista: '✓ Visitors have an <span class="emphasis">excellent experience</span><br>\n✓ Providers are <span class="emphasis">accurately represented</span><br>\n✓ Local tourism grows with <span class="emphasis">standards and responsibility</span>',
+            avaliacaoObjetivo: 'Our goal is to value those who do things right and to create an environment where everyone grows together.',
+            beneficiosTitulo: 'With Paraty GO!, your business <span>gains</span>',
+            beneficios: {
+                visibilidade: {
+                    titulo: 'More Visibility',
+                    texto: 'Show up in smart recommendations and be found by tourists looking for exactly what you offer.'
+                },
+                reservas: {
+                    titulo: 'More Bookings',
+                    texto: 'An AI-powered platform that organizes, simplifies choices and brings visitors closer to the services that best meet their expectations.'
+                },
+                credibilidade: {
+                    titulo: 'More Credibility',
+                    texto: 'Be part of a platform that puts quality and professionalism in local tourism first.'
+                },
+                conexao: {
+                    titulo: 'More Connection',
+                    texto: 'Welcome qualified visitors who match the kind of experience you offer.'
+                }
+            },
+            parceriaIntro: 'Here, you are not just another provider.',
+            parceriaDestaque: 'You are a <span class="text-gradient">partner</span> who represents the essence of the tourism we want to promote in <span class="text-gradient">Paraty</span>',
+            parceriaFechamento: '✨ We are happy to walk this path with you ✨',
+            formTitulo: 'Register your Service',
+            formSubtitulo: 'Take your time filling in the details below. Our team will review your service and get in touch within 48 hours.',
+            etapasRotulo: 'Registration steps',
+            etapas: {
+                empresa: 'Your business',
+                contato: 'Contact',
+                local: 'Location',
+                detalhes: 'Service details',
+                documentos: 'Documents',
+                termos: 'Terms and submission',
+                termosLer: 'Read the partnership terms (in Portuguese)',
+                termosLerVersao: 'Read the partnership terms (version of {{data}}, in Portuguese)'
+            },
+            campos: {
+                opcional: '(optional)',
+                selecioneOpcao: 'Select an option',
+                nomeEmpresa: 'Business Name',
+                nomeEmpresaPlaceholder: 'E.g. Lancha Paradise Paraty',
+                categoria: 'Service Category',
+                categoriaSelecione: 'Select a category',
+                documento: 'CPF or CNPJ (Brazilian tax ID)',
+                documentoPlaceholder: '000.000.000-00 or 00.000.000/0000-00',
+                cadastur: 'CADASTUR Number',
+                cadasturPlaceholder: 'Registration with the Brazilian Ministry of Tourism',
+                descricao: 'Short Service Description',
+                descricaoPlaceholder: 'Briefly describe what you offer, what sets you apart and your main attractions...',
+                nomeResponsavel: 'Contact Person',
+                nomeResponsavelPlaceholder: 'Your full name',
+                whatsapp: 'WhatsApp Number',
+                email: 'Business Email',
+                emailPlaceholder: 'contact@yourbusiness.com',
+                redesSociais: 'Instagram / Website (optional)',
+                redesSociaisPlaceholder: '@yourinstagram or www.yourwebsite.com',
+                cep: 'Postal Code / CEP (optional)',
+                endereco: 'Address / Departure Point',
+                enderecoPlaceholder: 'E.g. Paraty Pier, Downtown Pier',
+                bairro: 'Neighborhood',
+                bairroPlaceholder: 'E.g. Historic Center',
+                regiao: 'Area',
+                regiaoSelecione: 'Select the area',
+                pontoReferencia: 'Landmark (optional)',
+                pontoReferenciaPlaceholder: 'E.g. Across from Santa Rita Church',
+                mapa: 'Location on the Map (optional)',
+                mapaDica: 'Click the map to mark where your service or departure point is.',
+                mapaRemover: 'Remove marker',
+                capacidade: 'Capacity / Type of Service',
+                capacidadePlaceholder: 'E.g. Capacity or features of the service',
+                diferencial: 'What makes your service special?',
+                diferencialPlaceholder: 'Tell us what makes your service unique. The care, the story, the experience... We want to get to know you!',
+                documentos: 'Document Upload (optional)',
+                documentosArraste: 'Click or drag files here',
+                documentosDica: 'Licenses, photos, permits, certificates ({{tipos}} · up to {{tamanho}} MB each)',
+                termos: 'I accept the Paraty GO! partnership terms and authorize the use of the information provided for review and possible business contact.'
+            },
+            voltar: '← Back',
+            proximo: 'Next →',
+            enviar: 'Submit Registration',
+            enviarRotulo: 'Submit registration form',
+            enviando: 'Sending',
+            erroEnvio: 'An error occurred while sending the form. Please try again.',
+            arquivo: 'File',
+            arquivosRecusadosContinuar: 'Remove or replace the files that were not accepted before continuing.',
+            arquivosRecusadosEnviar: 'Remove or replace the files that were not accepted before submitting.',
+            pularFormulario: 'Skip to the signup form',
+            errosTitulo: 'Please review the fields below:',
+            arquivosLista: 'Selected files',
+            arquivosSelecionados: 'Files selected: {{quantidade}}.',
+            arquivosNaoAceitos: 'Not accepted: {{quantidade}}.',
+            nenhumArquivo: 'No files selected.',
+            rascunho: {
+                comecarDoZero: 'Start over',
+                salvarOutroAparelho: 'Save and continue on another device',
+                linkRotulo: 'Link to continue the registration',
+                copiarLink: 'Copy link',
+                copiado: 'Copied!',
+                salvo: 'Draft saved on this device at {{hora}}.',
+                continuandoAparelho: 'Continuing the draft saved on this device on {{data}} at {{hora}}.',
+                continuandoLink: 'Continuing the registration saved through the link.',
+                linkEnviado: 'We sent the link to {{email}}. Open it on any device until {{validade}} to pick up where you left off; files need to be attached again.',
+                guardeLink: 'Keep the link below to pick up where you left off until {{validade}}. Files need to be attached again.',
+                guardeLinkSemEmail: 'Keep the link below to pick up where you left off until {{validade}} (enter your email in the contact step to also receive it by email). Files need to be attached again.',
+                erroSalvar: 'We could not save the draft. Please try again.',
+                erroCarregar: 'We could not load the draft. Check the link you received by email.',
+                confirmarDescarte: 'Delete the draft and start the registration over?'
+            },
+            edicao: {
+                titulo: 'Update your Registration',
+                subtitulo: 'Reference {{protocolo}}. Correct your details and send any missing documents: the registration goes back to our team for review.',
+                salvar: 'Save Changes',
+                naoEditavel: 'This registration has the status "{{status}}" and can no longer be changed.',
+                mensagemEquipe: 'Message from our team',
+                jaEnviados: 'Already sent: {{arquivos}}',
+                erroCarregar: 'We could not load the registration. Check the link you received by email.'
+            }
+        },
+        confirmacao: {
+            tituloPagina: 'Registration Confirmed | Paraty GO!',
+            preparando: 'Preparing your confirmation...',
+            titulo: 'Thank you for registering!',
+            mensagem: 'The <strong>Paraty GO!</strong> team has received your information.<br>\nWe will be in touch soon to take the next steps together!',
+            protocolo: 'Reference number',
+            acompanhar: 'Track my registration →',
+            linkPorEmail: 'The tracking link was sent to your email.',
+            redes: 'In the meantime, follow us on social media 🌊',
+            voltar: 'Back to the home page'
+        }
+    }
+};
@@ -0,0 +1,323 @@
+/**
+ * Catálogo es - espanhol
+ */
+
+module.exports = {
+    api: {
+        camposInvalidos: 'Algunos campos requieren atención.',
+        cadastroRealizado: '¡Registro realizado con éxito!',
+        cadastroReenviado: '¡Encontramos tu registro en curso y lo actualizamos con los nuevos datos!',
+        cadastroEditado: '¡Registro actualizado! Volvió a la fila de análisis de nuestro equipo.',
+        envioRapido: 'El formulario se envió demasiado rápido. Revisa los datos y envíalo de nuevo.',
+        captchaInvalido: 'No pudimos confirmar que no eres un robot. Inténtalo de nuevo.',
+        envioEmAndamento: 'Tu registro ya se está enviando. Espera unos instantes.',
+        duplicado: 'Ya existe un registro en análisis para esta empresa, CPF/CNPJ, WhatsApp o email. Enviamos al email registrado en él el enlace para seguir su avance y actualizar los datos.',
+        duplicadoEdicao: 'Ya existe otro registro en análisis con este email, WhatsApp, CPF/CNPJ o nombre de empresa.',
+        naoEditavel: 'Este registro ya fue analizado y no se puede modificar.',
+        linkInvalido: 'Enlace de seguimiento inválido o vencido.',
+        erroProcessar: 'Error al procesar el registro. Inténtalo de nuevo.',
+        erroConsultar: 'Error al consultar el registro. Inténtalo de nuevo.',
+        erroCarregar: 'Error al cargar el registro. Inténtalo de nuevo.',
+        erroAtualizar: 'Error al actualizar el registro. Inténtalo de nuevo.',
+        limiteTentativas: 'Recibimos demasiados intentos de registro. Espera unos minutos e inténtalo de nuevo.',
+        arquivosRecusados: 'Algunos archivos no fueron aceptados.',
+        rascunhoNaoEncontrado: 'Borrador no encontrado o vencido.',
+        erroSalvarRascunho: 'Error al guardar el borrador. Inténtalo de nuevo.',
+        erroCarregarRascunho: 'Error al cargar el borrador. Inténtalo de nuevo.',
+        cepNaoEncontrado: 'Código postal (CEP) no encontrado.',
+        cepIndisponivel: 'No pudimos consultar el código postal ahora. Completa la dirección manualmente.',
+        termosNaoEncontrados: 'Versión de los términos no encontrada.',
+        termosAceitos: 'Aceptación de los términos registrada. ¡Gracias!',
+        erroAceitarTermos: 'Error al registrar la aceptación de los términos. Inténtelo de nuevo.',
+        requisicaoInvalida: 'No fue posible leer los datos enviados. Recargue la página e inténtelo de nuevo.',
+        erroInterno: 'Error interno del servidor. Inténtelo de nuevo.'
+    },
+
+    validacao: {
+        obrigatorio: 'Campo obligatorio',
+        minLength: 'Debe tener al menos {{min}} caracteres',
+        maxLength: 'Debe tener como máximo {{max}} caracteres',
+        opcaoInvalida: 'Selecciona una opción válida',
+        inteiro: 'Ingresa un número entero',
+        numero: 'Ingresa un número válido',
+        minimo: 'Debe ser como mínimo {{min}}',
+        maximo: 'Debe ser como máximo {{max}}',
+        email: 'Ingresa un email válido',
+        whatsapp: 'Ingresa un WhatsApp válido con código de área',
+        cep: 'Ingresa un código postal válido (00000-000)',
+        cpfCnpj: 'Ingresa un CPF o CNPJ válido',
+        cnpj: 'Ingresa un CNPJ válido',
+        cadastur: 'Ingresa el número de CADASTUR tal como aparece en el certificado',
+        cadasturCategoria: 'El CADASTUR es obligatorio para esta categoría',
+        termos: 'Es necesario aceptar los términos de asociación',
+        termosDesatualizados: 'Los términos de asociación fueron actualizados. Lea la nueva versión y acéptela nuevamente',
+        localMapa: 'Marca nuevamente el lugar en el mapa'
+    },
+
+    upload: {
+        type: 'Formato no aceptado. Envía {{tipos}}.',
+        size: 'Archivo mayor que {{tamanho}} MB.',
+        count: 'Envía como máximo {{quantidade}} archivos.',
+        content: 'El contenido del archivo no corresponde al formato indicado en la extensión.',
+        field: 'Envía los archivos por el campo de documentos del formulario.'
+    },
+
+    email: {
+        tipos: {
+            recebido: {
+                subject: '🌴 Recibimos tu registro - Paraty GO!',
+                title: '¡Recibimos tu registro!',
+                message: 'Recibimos el registro de {{nomeEmpresa}}. Nuestro equipo analizará tu servicio y se pondrá en contacto en un plazo de 48 horas.'
+            },
+            atualizado: {
+                subject: '🔁 Recibimos la actualización de tu registro - Paraty GO!',
+                title: '¡Registro actualizado!',
+                message: 'Recibimos los nuevos datos del registro de {{nomeEmpresa}} y ya forman parte del análisis en curso.'
+            },
+            aprovado: {
+                subject: '🎉 Tu registro fue aprobado - Paraty GO!',
+                title: '¡Registro aprobado!',
+                message: 'El registro de {{nomeEmpresa}} fue aprobado. ¡Bienvenido a Paraty GO! Pronto nos pondremos en contacto con los próximos pasos.'
+            },
+            rejeitado: {
+                subject: 'Novedades sobre tu registro - Paraty GO!',
+                title: 'Novedades sobre tu registro',
+                message: 'Después del análisis, no fue posible aprobar el registro de {{nomeEmpresa}} en este momento.'
+            },
+            rascunho: {
+                subject: '📝 Continúa tu registro - Paraty GO!',
+                title: 'Tu registro está guardado',
+                message: 'Guardamos tu registro. Usa el enlace de abajo para continuar donde lo dejaste, en cualquier dispositivo. El borrador está disponible por {{diasValidade}} días.'
+            },
+            pendente_documentos: {
+                subject: '📎 Necesitamos más información - Paraty GO!',
+                title: 'Necesitamos más información',
+                message: 'Para continuar el análisis del registro de {{nomeEmpresa}}, necesitamos algunos documentos o información adicional. Puedes actualizar los datos y enviar nuevos archivos con el enlace de abajo.'
+            },
+            link: {
+                subject: '🔗 Tu registro en curso - Paraty GO!',
+                title: 'Tu registro ya está en análisis',
+                message: 'Recibimos un nuevo envío del formulario para {{nomeEmpresa}}, que ya tiene un registro en análisis. Usa los enlaces de abajo para seguir su avance o actualizar los datos. Si no fuiste tú, puedes ignorar este email.'
+            }
+        },
+        textos: {
+            saudacao: '¡Hola',
+            parceiro: 'socio',
+            mensagemEquipe: 'Mensaje del equipo',
+            continuar: 'Continuar mi registro',
+            continuarTexto: 'Continúa tu registro',
+            atualizar: 'Actualizar mi registro',
+            atualizarTexto: 'Actualiza tu registro',
+            acompanhar: 'Seguir mi registro',
+            acompanharTexto: 'Sigue tu registro',
+            enviadoEm: 'Enviado el',
+            rodape: 'Paraty GO! - Plataforma de Turismo Inteligente'
+        }
+    },
+
+    status: {
+        pendente: 'Pendiente',
+        em_analise: 'En análisis',
+        aprovado: 'Aprobado',
+        rejeitado: 'Rechazado',
+        pendente_documentos: 'Documentos pendientes'
+    },
+
+    categorias: {
+        'passeio-lancha': { rotulo: 'Paseo en Lancha', placeholder: 'Ej.: Lancha para hasta 12 personas, con nevera y sonido' },
+        'passeio-escuna': { rotulo: 'Paseo en Goleta', placeholder: 'Ej.: Goleta para 40 personas, con bar y baño' },
+        'passeio-barco': { rotulo: 'Paseo en Barco', placeholder: 'Ej.: Barco para 8 personas, itinerario personalizado' },
+        'passeio-kayak': { rotulo: 'Paseo en Kayak / Stand Up', placeholder: 'Ej.: 10 kayaks disponibles / 5 tablas de SUP' },
+        'passeio-jeep': { rotulo: 'Paseo en Jeep 4x4', placeholder: 'Ej.: Jeep 4x4 para 6 pasajeros' },
+        'transfer': { rotulo: 'Traslado', placeholder: 'Ej.: Van para 15 pasajeros / Auto ejecutivo de 4 plazas' },
+        'pousada': { rotulo: 'Posada / Alojamiento', placeholder: 'Ej.: 8 habitaciones, piscina, desayuno incluido' },
+        'restaurante': { rotulo: 'Restaurante / Gastronomía', placeholder: 'Ej.: 50 lugares, especialidad en mariscos' },
+        'guia-turismo': { rotulo: 'Guía de Turismo', placeholder: 'Ej.: Guía acreditado, senderos y centro histórico' },
+        'mergulho': { rotulo: 'Buceo', placeholder: 'Ej.: Curso PADI, bautismo, buceo autónomo' },
+        'trilha': { rotulo: 'Senderos / Ecoturismo', placeholder: 'Ej.: Senderos fáciles a moderados, grupos de hasta 15 personas' },
+        'fotografia': { rotulo: 'Fotografía / Video', placeholder: 'Ej.: Sesiones de fotos, dron, edición profesional' },
+        'aluguel-equipamentos': { rotulo: 'Alquiler de Equipos', placeholder: 'Ej.: Bicicletas, snorkel, kayaks' },
+        'outro': { rotulo: 'Otro', placeholder: 'Describe la capacidad o el tipo de tu servicio' }
+    },
+
+    campos: {
+        inscricaoEmbarcacao: {
+            label: 'Matrícula de la Embarcación (Capitanía de Puertos)',
+            placeholder: 'Número de inscripción en el TIE'
+        },
+        passageirosMax: { label: 'Capacidad Máxima de Pasajeros' },
+        quartos: { label: 'Número de Habitaciones' },
+        certificacao: {
+            label: 'Nivel de Certificación',
+            options: {
+                'divemaster': 'Divemaster',
+                'instrutor': 'Instructor (OWSI)',
+                'instrutor-master': 'Master Instructor / Course Director',
+                'centro-credenciado': 'Centro de buceo acreditado (PADI, SSI o NAUI)'
+            }
+        }
+    },
+
+    regioes: {
+        'centro-historico': 'Centro Histórico',
+        'jabaquara-pontal': 'Jabaquara / Pontal',
+        'cabore-portao-vermelho': 'Caborê / Portão Vermelho',
+        'trindade': 'Trindade',
+        'paraty-mirim': 'Paraty-Mirim',
+        'mamangua-juatinga': 'Saco do Mamanguá / Juatinga',
+        'tarituba-sao-goncalo': 'Tarituba / São Gonçalo',
+        'estrada-paraty-cunha': 'Penha / Carretera Paraty-Cunha',
+        'ilhas-baia': 'Islas y Bahía de Paraty',
+        'outra': 'Otra localidad'
+    },
+
+    pagina: {
+        comum: {
+            seletor: 'Idioma',
+            rodape: '© 2025 Paraty GO! — Todos los derechos reservados'
+        },
+        cadastro: {
+            tituloPagina: 'Paraty GO! | El Futuro del Turismo en Paraty',
+            carregando: 'Cargando experiencias...',
+            enviandoCadastro: 'Enviando tu registro...',
+            tagline: 'El futuro del turismo en Paraty comienza contigo',
+            taglineSub: 'Marketplace de Experiencias Turísticas',
+            introDestaque: 'Es un gran honor recibirte aquí.',
+            intro1: 'Al llegar a esta página, das el primer paso para formar parte de un <span class="emphasis">ecosistema que está transformando</span> la manera en que los turistas descubren, reservan y viven las experiencias de Paraty.',
+            intro2: '<span class="emphasis">Paraty GO!</span> nació con un propósito claro: <strong>conectar a las personas con las mejores vivencias de nuestra ciudad</strong> — con inteligencia, organización y tecnología.',
+            intro3: 'Para ello, buscamos socios que compartan los mismos valores de <span class="emphasis">cuidado, calidad y compromiso</span> con el visitante.',
+            avaliacaoTitulo: '¿Por qué realizamos una <span>evaluación previa</span>?',
+            avaliacao1: 'Para mantener nuestra plataforma <span class="emphasis">transparente, confiable y alineada con las expectativas de los turistas</span>, es esencial garantizar que cada servicio publicado ofrezca seguridad, calidad y una buena experiencia.',
+            avaliacao2: 'Esta evaluación no existe para dificultar tu ingreso, sino para garantizar que:',
+            avaliacaoLista: '✓ El visitante tenga una <span class="emphasis">experiencia excelente</span><br>\n✓ El prestador esté <span class="emphasis">correctamente representado</span><br>\n✓ El turismo local evolucione con <span class="emphasis">estándares y responsabilidad</span>',
+            avaliacaoObjetivo: 'Nuestro objetivo es valorar a quienes trabajan bien y crear un ambiente donde todos crecemos juntos.',
+            beneficiosTitulo: 'En Paraty GO!, tu negocio <span>gana</span>',
+            beneficios: {
+                visibilidade: {
+                    titulo: 'Más Visibilidad',
+                    texto: 'Aparece en las recomendaciones inteligentes y deja que te encuentren los turistas que buscan exactamente lo que ofreces.'
+                },
+                reservas: {
+                    titulo: 'Más Reservas',
+                    texto: 'Una plataforma integrada con IA que organiza, simplifica las decisiones y acerca a los visitantes a los servicios que mejor responden a sus expectativas.'
+                },
+                credibilidade: {
+                    titulo: 'Más Credibilidad',
+                    texto: 'Forma parte de una plataforma que prioriza la calidad y la seriedad en el turismo local.'
+                },
+                conexao: {
+                    titulo: 'Más Conexión',
+                    texto: 'Recibe visitantes calificados, alineados con el tipo de experiencia que ofreces.'
+                }
+            },
+            parceriaIntro: 'Aquí no eres un prestador más.',
+            parceriaDestaque: 'Eres un <span class="text-gradient">socio</span> que representa la esencia del turismo que queremos promover en <span class="text-gradient">Paraty</span>',
+            parceriaFechamento: '✨ Nos alegra caminar contigo ✨',
+            formTitulo: 'Registra tu Servicio',
+            formSubtitulo: 'Completa los datos con tranquilidad. Nuestro equipo analizará tu servicio y se pondrá en contacto en un plazo de 48 horas.',
+            etapasRotulo: 'Etapas del registro',
+            etapas: {
+                empresa: 'Tu empresa',
+                contato: 'Contacto',
+                local: 'Ubicación',
+                detalhes: 'Detalles del servicio',
+                documentos: 'Documentos',
+                termos: 'Términos y envío',
+                termosLer: 'Leer los términos de asociación (en portugués)',
+                termosLerVersao: 'Leer los términos de asociación (versión del {{data}}, en portugués)'
+            },
+            campos: {
+                opcional: '(opcional)',
+                selecioneOpcao: 'Selecciona una opción',
+                nomeEmpresa: 'Nombre de la Empresa',
+                nomeEmpresaPlaceholder: 'Ej.: Lancha Paradise Paraty',
+                categoria: 'Categoría del Servicio',
+                categoriaSelecione: 'Selecciona una categoría',
+                documento: 'CPF o CNPJ (identificación fiscal brasileña)',
+                documentoPlaceholder: '000.000.000-00 o 00.000.000/0000-00',
+                cadastur: 'Número de CADASTUR',
+                cadasturPlaceholder: 'Registro en el Ministerio de Turismo de Brasil',
+                descricao: 'Descripción Breve del Servicio',
+                descricaoPlaceholder: 'Describe brevemente lo que ofreces, tus diferenciales y principales atractivos...',
+                nomeResponsavel: 'Nombre del Responsable',
+                nomeResponsavelPlaceholder: 'Tu nombre completo',
+                whatsapp: 'WhatsApp de Contacto',
+                email: 'Email Comercial',
+                emailPlaceholder: 'contacto@tuempresa.com',
+                redesSociais: 'Instagram / Sitio web (opcional)',
+                redesSociaisPlaceholder: '@tuinstagram o www.tusitio.com',
+                cep: 'Código Postal / CEP (opcional)',
+                endereco: 'Dirección / Punto de Salida',
+                enderecoPlaceholder: 'Ej.: Muelle de Paraty, Muelle del Centro',
+                bairro: 'Barrio',
+                bairroPlaceholder: 'Ej.: Centro Histórico',
+                regiao: 'Región',
+                regiaoSelecione: 'Selecciona la región',
+                pontoReferencia: 'Punto de Referencia (opcional)',
+                pontoReferenciaPlaceholder: 'Ej.: Frente a la Iglesia de Santa Rita',
+                mapa: 'Ubicación en el Mapa (opcional)',
+                mapaDica: 'Haz clic en el mapa para marcar dónde está el servicio o el punto de salida.',
+                mapaRemover: 'Quitar marca',
+                capacidade: 'Capacidad / Tipo de Servicio',
+                capacidadePlaceholder: 'Ej.: Capacidad o características del servicio',
+                diferencial: '¿Qué hace especial a tu servicio?',
+                diferencialPlaceholder: 'Cuéntanos qué hace único a tu servicio. El cuidado, la historia, la experiencia... ¡Queremos conocerte!',
+                documentos: 'Carga de Documentos (opcional)',
+                documentosArraste: 'Haz clic o arrastra archivos aquí',
+                documentosDica: 'Licencias, fotos, permisos, certificados ({{tipos}} · hasta {{tamanho}} MB cada uno)',
+                termos: 'Acepto los términos de asociación de Paraty GO! y autorizo el uso de la información proporcionada para análisis y eventual contacto comercial.'
+            },
+            voltar: '← Volver',
+            proximo: 'Siguiente →',
+            enviar: 'Enviar Registro',
+            enviarRotulo: 'Enviar formulario de registro',
+            enviando: 'Enviando',
+            erroEnvio: 'Ocurrió un error al enviar el formulario. Inténtalo de nuevo.',
+            arquivo: 'Archivo',
+            arquivosRecusadosContinuar: 'Quita o reemplaza los archivos no aceptados antes de continuar.',
+            arquivosRecusadosEnviar: 'Quita o reemplaza los archivos no aceptados antes de enviar.',
+            pularFormulario: 'Saltar al formulario de registro',
+            errosTitulo: 'Revisa los campos a continuación:',
+            arquivosLista: 'Archivos seleccionados',
+            arquivosSelecionados: 'Archivos seleccionados: {{quantidade}}.',
+            arquivosNaoAceitos: 'No aceptados: {{quantidade}}.',
+            nenhumArquivo: 'Ningún archivo seleccionado.',
+            rascunho: {
+                comecarDoZero: 'Empezar de cero',
+                salvarOutroAparelho: 'Guardar y continuar en otro dispositivo',
+                linkRotulo: 'Enlace para continuar el registro',
+                copiarLink: 'Copiar enlace',
+                copiado: '¡Copiado!',
+                salvo: 'Borrador guardado en este dispositivo a las {{hora}}.',
+                continuandoAparelho: 'Continuando el borrador guardado en este dispositivo el {{data}} a las {{hora}}.',
+                continuandoLink: 'Continuando el registro guardado con el enlace.',
+                linkEnviado: 'Enviamos el enlace a {{email}}. Ábrelo en cualquier dispositivo hasta el {{validade}} para continuar donde lo dejaste; los archivos deben adjuntarse de nuevo.',
+                guardeLink: 'Guarda el enlace de abajo para continuar donde lo dejaste hasta el {{validade}}. Los archivos deben adjuntarse de nuevo.',
+                guardeLinkSemEmail: 'Guarda el enlace de abajo para continuar donde lo dejaste hasta el {{validade}} (ingresa tu email en la etapa de contacto para recibirlo también por email). Los archivos deben adjuntarse de nuevo.',
+                erroSalvar: 'No pudimos guardar el borrador. Inténtalo de nuevo.',
+                erroCarregar: 'No pudimos cargar el borrador. Revisa el enlace recibido por email.',
+                confirmarDescarte: '¿Borrar el borrador y empezar el registro de cero?'
+            },
+            edicao: {
+                titulo: 'Actualiza tu Registro',
+                subtitulo: 'Protocolo {{protocolo}}. Corrige los datos y envía los documentos que faltan: el registro vuelve al análisis de nuestro equipo.',
+                salvar: 'Guardar Cambios',
+                naoEditavel: 'Este registro tiene el estado "{{status}}" y ya no se puede modificar.',
+                mensagemEquipe: 'Mensaje del equipo',
+                jaEnviados: 'Ya enviados: {{arquivos}}',
+                erroCarregar: 'No pudimos cargar el registro. Revisa el enlace recibido por email.'
+            }
+        },
+        confirmacao: {
+            tituloPagina: 'Registro Confirmado | Paraty GO!',
+            preparando: 'Preparando tu confirmación...',
+            titulo: '¡Gracias por registrarte!',
+            mensagem: 'El equipo de <strong>Paraty GO!</strong> recibió tu información.<br>\n¡Nos pondremos en contacto pronto para dar juntos los próximos pasos!',
+            protocolo: 'Número de protocolo',
+            acompanhar: 'Seguir mi registro →',
+            linkPorEmail: 'El enlace de seguimiento fue enviado a tu email.',
+            redes: 'Mientras tanto, síguenos en las redes sociales 🌊',
+            voltar: 'Volver a la página de inicio'
+        }
+    }
+};
@@ -0,0 +1,149 @@
+/**
+ * Traduções - pt-BR (padrão), en e es
+ *
+ * Cada catálogo (lib/i18n/<idioma>.js) reúne as mensagens da API e da
+ * validação, os emails enviados ao parceiro e, em `pagina`, os textos das
+ * páginas, entregues por /api/i18n/:idioma. Chaves sem tradução usam o
+ * texto em pt-BR. Categorias, campos específicos, regiões e status têm o
+ * texto em pt-BR na própria definição (lib/categorias.js, lib/regioes.js e
+ * lib/status.js): os catálogos en e es trazem apenas as traduções.
+ *
+ * Textos com parâmetros usam {{nome}}; parâmetros não informados ficam
+ * como estão (as mensagens dos emails ainda passam pelo Handlebars).
+ */
+
+const CATALOGOS = {
+    'pt-BR': require('./pt-BR'),
+    en: require('./en'),
+    es: require('./es')
+};
+
+const IDIOMAS = Object.keys(CATALOGOS);
+const IDIOMA_PADRAO = 'pt-BR';
+
+// Nome de cada idioma nele mesmo, para o seletor das páginas e o painel
+const NOMES_IDIOMAS = {
+    'pt-BR': 'Português',
+    en: 'English',
+    es: 'Español'
+};
+
+// 'en-US' => 'en', 'pt' => 'pt-BR'; null para idiomas sem catálogo
+function resolveIdioma(value) {
+    const prefixo = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+    if (!prefixo) return null;
+    return IDIOMAS.find(idioma => idioma.toLowerCase().split('-')[0] === prefixo) || null;
+}
+
+function lookup(catalogo, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogo);
+}
+
+/**
+ * Texto da chave no idioma, com os {{parâmetros}} substituídos.
+ * Sem tradução, usa o pt-BR e depois `fallback` (padrão: a própria chave)
+ */
+function translate(idioma, key, params = {}, fallback = key) {
+    const text = lookup(CATALOGOS[idioma], key) ?? lookup(CATALOGOS[IDIOMA_PADRAO], key) ?? fallback;
+    if (typeof text !== 'string') return text;
+
+    return text.replace(/\{\{(\w+)\}\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// t(key, params, fallback) preso a um idioma; `t.idioma` informa qual
+function createTranslator(idioma = IDIOMA_PADRAO) {
+    const t = (key, params, fallback) => translate(idioma, key, params, fallback);
+    t.idioma = idioma;
+    return t;
+}
+
+// Primeiro idioma com catálogo no Accept-Language, pela ordem de preferência (q)
+function fromAcceptLanguage(header) {
+    return String(header || '').split(',')
+        .map(part => {
+            const [tag, q] = part.trim().split(';q=');
+            return { tag, q: q === undefined ? 1 : Number(q) || 0 };
+        })
+        .sort((a, b) => b.q - a.q)
+        .map(({ tag }) => resolveIdioma(tag))
+        .find(Boolean) || null;
+}
+
+// Cookie gravado pelo seletor de idioma das páginas
+function fromCookie(header) {
+    const match = /(?:^|;\s*)idioma=([^;]*)/.exec(header || '');
+    return match ? resolveIdioma(match[1]) : null;
+}
+
+// Idioma da requisição: ?idioma=, cookie `idioma` e Accept-Language, nesta ordem
+function detectIdioma(req) {
+    return resolveIdioma(req.query && req.query.idioma)
+        || fromCookie(req.headers.cookie)
+        || fromAcceptLanguage(req.headers['accept-language'])
+        || IDIOMA_PADRAO;
+}
+
+// Middleware: `req.idioma` e `req.t` para as mensagens das rotas
+function i18nMiddleware(req, res, next) {
+    req.idioma = detectIdioma(req);
+    req.t = createTranslator(req.idioma);
+    res.set('Content-Language', req.idioma);
+    next();
+}
+
+function deepMerge(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+            ? deepMerge(base[key], value)
+            : value;
+    }
+    return merged;
+}
+
+// Textos das páginas no idioma, completados com o pt-BR
+function pageTextos(idioma) {
+    return deepMerge(CATALOGOS[IDIOMA_PADRAO].pagina, CATALOGOS[idioma].pagina);
+}
+
+// Categorias com rótulo, exemplo de capacidade e campos específicos no idioma
+function localizeCategorias(categorias, t) {
+    return Object.fromEntries(Object.entries(categorias).map(([id, categoria]) => [id, {
+        ...categoria,
+        rotulo: t(`categorias.${id}.rotulo`, {}, categoria.rotulo),
+        placeholder: t(`categorias.${id}.placeholder`, {}, categoria.placeholder),
+        campos: categoria.campos && Object.fromEntries(Object.entries(categoria.campos).map(([name, campo]) => [name, {
+            ...campo,
+            label: t(`campos.${name}.label`, {}, campo.label),
+            placeholder: campo.placeholder && t(`campos.${name}.placeholder`, {}, campo.placeholder),
+            options: campo.options && Object.fromEntries(Object.entries(campo.options)
+                .map(([value, text]) => [value, t(`campos.${name}.options.${value}`, {}, text)]))
+        }]))
+    }]));
+}
+
+function localizeRegioes(regioes, t) {
+    return Object.fromEntries(Object.entries(regioes).map(([id, regiao]) => [id, {
+        ...regiao,
+        rotulo: t(`regioes.${id}`, {}, regiao.rotulo)
+    }]));
+}
+
+function localizeStatus(status, t) {
+    return Object.fromEntries(Object.entries(status).map(([id, rotulo]) => [id, t(`status.${id}`, {}, rotulo)]));
+}
+
+module.exports = {
+    IDIOMAS,
+    IDIOMA_PADRAO,
+    NOMES_IDIOMAS,
+    resolveIdioma,
+    translate,
+    createTranslator,
+    detectIdioma,
+    i18nMiddleware,
+    pageTextos,
+    localizeCategorias,
+    localizeRegioes,
+    localizeStatus
+};
@@ -0,0 +1,269 @@
+/**
+ * Catálogo pt-BR - idioma padrão e base dos demais
+ */
+
+module.exports = {
+    api: {
+        camposInvalidos: 'Alguns campos precisam de atenção.',
+        cadastroRealizado: 'Cadastro realizado com sucesso!',
+        cadastroReenviado: 'Encontramos seu cadastro em andamento e ele foi atualizado com os novos dados!',
+        cadastroEditado: 'Cadastro atualizado! Ele voltou para a fila de análise da nossa equipe.',
+        envioRapido: 'O formulário foi enviado rápido demais. Revise os dados e envie novamente.',
+        captchaInvalido: 'Não foi possível confirmar que você não é um robô. Tente novamente.',
+        envioEmAndamento: 'Seu cadastro já está sendo enviado. Aguarde alguns instantes.',
+        duplicado: 'Já existe um cadastro em análise para esta empresa, CPF/CNPJ, WhatsApp ou email. Enviamos para o email registrado nele o link para acompanhar o andamento e atualizar os dados.',
+        duplicadoEdicao: 'Já existe outro cadastro em análise com este email, WhatsApp, CPF/CNPJ ou nome de empresa.',
+        naoEditavel: 'Este cadastro já foi analisado e não pode mais ser alterado.',
+        linkInvalido: 'Link de acompanhamento inválido ou expirado.',
+        erroProcessar: 'Erro ao processar cadastro. Tente novamente.',
+        erroConsultar: 'Erro ao consultar o cadastro. Tente novamente.',
+        erroCarregar: 'Erro ao carregar o cadastro. Tente novamente.',
+        erroAtualizar: 'Erro ao atualizar cadastro. Tente novamente.',
+        limiteTentativas: 'Recebemos muitas tentativas de cadastro. Aguarde alguns minutos e tente novamente.',
+        arquivosRecusados: 'Alguns arquivos não foram aceitos.',
+        rascunhoNaoEncontrado: 'Rascunho não encontrado ou expirado.',
+        erroSalvarRascunho: 'Erro ao salvar o rascunho. Tente novamente.',
+        erroCarregarRascunho: 'Erro ao carregar o rascunho. Tente novamente.',
+        cepNaoEncontrado: 'CEP não encontrado.',
+        cepIndisponivel: 'Não foi possível consultar o CEP agora. Preencha o endereço manualmente.',
+        termosNaoEncontrados: 'Versão dos termos não encontrada.',
+        termosAceitos: 'Aceite dos termos registrado. Obrigado!',
+        erroAceitarTermos: 'Erro ao registrar o aceite dos termos. Tente novamente.',
+        requisicaoInvalida: 'Não foi possível ler os dados enviados. Atualize a página e tente novamente.',
+        erroInterno: 'Erro interno do servidor. Tente novamente.'
+    },
+
+    validacao: {
+        obrigatorio: 'Campo obrigatório',
+        minLength: 'Deve ter pelo menos {{min}} caracteres',
+        maxLength: 'Deve ter no máximo {{max}} caracteres',
+        opcaoInvalida: 'Selecione uma opção válida',
+        inteiro: 'Informe um número inteiro',
+        numero: 'Informe um número válido',
+        minimo: 'Deve ser no mínimo {{min}}',
+        maximo: 'Deve ser no máximo {{max}}',
+        email: 'Informe um e-mail válido',
+        whatsapp: 'Informe um WhatsApp válido com DDD',
+        cep: 'Informe um CEP válido (00000-000)',
+        cpfCnpj: 'Informe um CPF ou CNPJ válido',
+        cnpj: 'Informe um CNPJ válido',
+        cadastur: 'Informe o número do CADASTUR como aparece no certificado',
+        cadasturCategoria: 'O CADASTUR é obrigatório para esta categoria',
+        termos: 'É necessário aceitar os termos de parceria',
+        termosDesatualizados: 'Os termos de parceria foram atualizados. Leia a nova versão e aceite novamente',
+        localMapa: 'Marque novamente o local no mapa'
+    },
+
+    upload: {
+        type: 'Formato não aceito. Envie {{tipos}}.',
+        size: 'Arquivo maior que {{tamanho}} MB.',
+        count: 'Envie no máximo {{quantidade}} arquivos.',
+        content: 'O conteúdo do arquivo não corresponde ao formato indicado na extensão.',
+        field: 'Envie os arquivos pelo campo de documentos do formulário.'
+    },
+
+    // Emails enviados ao parceiro a cada etapa da análise do cadastro
+    email: {
+        tipos: {
+            recebido: {
+                subject: '🌴 Recebemos seu cadastro - Paraty GO!',
+                title: 'Recebemos seu cadastro!',
+                message: 'Recebemos o cadastro de {{nomeEmpresa}}. Nossa equipe analisará seu serviço e entrará em contato em até 48 horas.'
+            },
+            atualizado: {
+                subject: '🔁 Recebemos a atualização do seu cadastro - Paraty GO!',
+                title: 'Cadastro atualizado!',
+                message: 'Recebemos os novos dados do cadastro de {{nomeEmpresa}} e eles já fazem parte da análise em andamento.'
+            },
+            aprovado: {
+                subject: '🎉 Seu cadastro foi aprovado - Paraty GO!',
+                title: 'Cadastro aprovado!',
+                message: 'O cadastro de {{nomeEmpresa}} foi aprovado. Bem-vindo ao Paraty GO! Em breve entraremos em contato com os próximos passos.'
+            },
+            rejeitado: {
+                subject: 'Atualização sobre seu cadastro - Paraty GO!',
+                title: 'Atualização sobre seu cadastro',
+                message: 'Após análise, não foi possível aprovar o cadastro de {{nomeEmpresa}} neste momento.'
+            },
+            rascunho: {
+                subject: '📝 Continue seu cadastro - Paraty GO!',
+                title: 'Seu cadastro está salvo',
+                message: 'Salvamos o preenchimento do seu cadastro. Use o link abaixo para continuar de onde parou, em qualquer aparelho. O rascunho fica disponível por {{diasValidade}} dias.'
+            },
+            pendente_documentos: {
+                subject: '📎 Precisamos de mais informações - Paraty GO!',
+                title: 'Precisamos de mais informações',
+                message: 'Para continuar a análise do cadastro de {{nomeEmpresa}}, precisamos de alguns documentos ou informações adicionais. Você pode atualizar os dados e enviar novos arquivos pelo link abaixo.'
+            },
+            link: {
+                subject: '🔗 Seu cadastro em andamento - Paraty GO!',
+                title: 'Seu cadastro já está em análise',
+                message: 'Recebemos um novo envio do formulário para {{nomeEmpresa}}, que já tem um cadastro em análise. Use os links abaixo para acompanhar o andamento ou atualizar os dados. Se não foi você, pode ignorar este email.'
+            }
+        },
+        textos: {
+            saudacao: 'Olá',
+            parceiro: 'parceiro',
+            mensagemEquipe: 'Mensagem da equipe',
+            continuar: 'Continuar meu cadastro',
+            continuarTexto: 'Continue seu cadastro',
+            atualizar: 'Atualizar meu cadastro',
+            atualizarTexto: 'Atualize seu cadastro',
+            acompanhar: 'Acompanhar meu cadastro',
+            acompanharTexto: 'Acompanhe seu cadastro',
+            enviadoEm: 'Enviado em',
+            rodape: 'Paraty GO! - Plataforma de Turismo Inteligente'
+        }
+    },
+
+    // Textos das páginas (index.html e confirmacao.html), em /api/i18n/:idioma
+    pagina: {
+        comum: {
+            seletor: 'Idioma',
+            rodape: '© 2025 Paraty GO! — Todos os direitos reservados'
+        },
+        cadastro: {
+            tituloPagina: 'Paraty GO! | O Futuro do Turismo em Paraty',
+            carregando: 'Carregando experiências...',
+            enviandoCadastro: 'Enviando seu cadastro...',
+            tagline: 'O futuro do turismo em Paraty começa com você',
+            taglineSub: 'Marketplace de Experiências Turísticas',
+            introDestaque: 'É uma honra enorme receber você aqui.',
+            intro1: 'Ao chegar nesta página, você dá o primeiro passo para fazer parte de um <span class="emphasis">ecossistema que está transformando</span> a maneira como turistas descobrem, reservam e vivem as experiências de Paraty.',
+            intro2: 'O <span class="emphasis">Paraty GO!</span> nasceu com um propósito claro: <strong>conectar pessoas às melhores vivências da nossa cidade</strong> — com inteligência, organização e tecnologia.',
+            intro3: 'Para isso, buscamos parceiros que compartilham dos mesmos valores de <span class="emphasis">cuidado, qualidade e compromisso</span> com o visitante.',
+            avaliacaoTitulo: 'Por que realizamos uma <span>avaliação prévia</span>?',
+            avaliacao1: 'Para manter nossa plataforma <span class="emphasis">transparente, confiável e alinhada às expectativas dos turistas</span>, é essencial garantir que cada serviço listado entregue segurança, qualidade e boa experiência.',
+            avaliacao2: 'Essa avaliação não existe para dificultar sua entrada, e sim para garantir que:',
+            avaliacaoLista: '✓ O visitante tenha uma <span class="emphasis">experiência excelente</span><br>\n✓ O prestador seja <span class="emphasis">corretamente representado</span><br>\n✓ O turismo local evolua com <span class="emphasis">padrão e responsabilidade</span>',
+            avaliacaoObjetivo: 'Nosso objetivo é valorizar quem trabalha direito e criar um ambiente onde todos crescem juntos.',
+            beneficiosTitulo: 'No Paraty GO!, seu negócio <span>ganha</span>',
+            beneficios: {
+                visibilidade: {
+                    titulo: 'Mais Visibilidade',
+                    texto: 'Apareça nas recomendações inteligentes e seja encontrado por turistas que procuram exatamente o que você oferece.'
+                },
+                reservas: {
+                    titulo: 'Mais Reservas',
+                    texto: 'Uma plataforma integrada com IA que organiza, simplifica escolhas e aproxima visitantes dos serviços que melhor atendem às suas expectativas.'
+                },
+                credibilidade: {
+                    titulo: 'Mais Credibilidade',
+                    texto: 'Faça parte de uma plataforma que prioriza qualidade e seriedade no turismo local.'
+                },
+                conexao: {
+                    titulo: 'Mais Conexão',
+                    texto: 'Receba visitantes qualificados, alinhados ao tipo de experiência que você oferece.'
+                }
+            },
+            parceriaIntro: 'Aqui, você não é apenas mais um prestador.',
+            parceriaDestaque: 'É um <span class="text-gradient">parceiro</span> que representa a essência do turismo que queremos promover em <span class="text-gradient">Paraty</span>',
+            parceriaFechamento: '✨ Estamos felizes em caminhar com você ✨',
+            formTitulo: 'Cadastre seu Serviço',
+            formSubtitulo: 'Preencha os dados abaixo com tranquilidade. Nossa equipe analisará seu serviço e entrará em contato em até 48 horas.',
+            etapasRotulo: 'Etapas do cadastro',
+            etapas: {
+                empresa: 'Sua empresa',
+                contato: 'Contato',
+                local: 'Localização',
+                detalhes: 'Detalhes do serviço',
+                documentos: 'Documentos',
+                termos: 'Termos e envio',
+                termosLer: 'Ler os termos de parceria',
+                termosLerVersao: 'Ler os termos de parceria (versão de {{data}})'
+            },
+            campos: {
+                opcional: '(opcional)',
+                selecioneOpcao: 'Selecione uma opção',
+                nomeEmpresa: 'Nome da Empresa',
+                nomeEmpresaPlaceholder: 'Ex: Lancha Paradise Paraty',
+                categoria: 'Categoria do Serviço',
+                categoriaSelecione: 'Selecione uma categoria',
+                documento: 'CPF ou CNPJ',
+                documentoPlaceholder: '000.000.000-00 ou 00.000.000/0000-00',
+                cadastur: 'Número do CADASTUR',
+                cadasturPlaceholder: 'Registro no Ministério do Turismo',
+                descricao: 'Descrição Curta do Serviço',
+                descricaoPlaceholder: 'Descreva brevemente o que você oferece, os diferenciais e principais atrativos...',
+                nomeResponsavel: 'Nome do Responsável',
+                nomeResponsavelPlaceholder: 'Seu nome completo',
+                whatsapp: 'WhatsApp de Contato',
+                email: 'E-mail Comercial',
+                emailPlaceholder: 'contato@suaempresa.com.br',
+                redesSociais: 'Instagram / Site (opcional)',
+                redesSociaisPlaceholder: '@seuinstagram ou www.seusite.com.br',
+                cep: 'CEP (opcional)',
+                endereco: 'Endereço / Local de Saída',
+                enderecoPlaceholder: 'Ex: Cais de Paraty, Pier do Centro',
+                bairro: 'Bairro',
+                bairroPlaceholder: 'Ex: Centro Histórico',
+                regiao: 'Região',
+                regiaoSelecione: 'Selecione a região',
+                pontoReferencia: 'Ponto de Referência (opcional)',
+                pontoReferenciaPlaceholder: 'Ex: Em frente à Igreja de Santa Rita',
+                mapa: 'Local no Mapa (opcional)',
+                mapaDica: 'Clique no mapa para marcar onde fica o serviço ou o ponto de saída.',
+                mapaRemover: 'Remover marcação',
+                capacidade: 'Capacidade / Tipo de Serviço',
+                capacidadePlaceholder: 'Ex: Capacidade ou características do serviço',
+                diferencial: 'O que torna seu serviço especial?',
+                diferencialPlaceholder: 'Conte o que faz seu serviço ser único. O cuidado, a história, a experiência... Queremos conhecer você!',
+                documentos: 'Upload de Documentos (opcional)',
+                documentosArraste: 'Clique ou arraste arquivos aqui',
+                documentosDica: 'Licenças, fotos, alvará, certificados ({{tipos}} · até {{tamanho}} MB cada)',
+                termos: 'Aceito os termos de parceria do Paraty GO! e autorizo o uso das informações fornecidas para análise e eventual contato comercial.'
+            },
+            voltar: '← Voltar',
+            proximo: 'Próximo →',
+            enviar: 'Enviar Cadastro',
+            enviarRotulo: 'Enviar formulário de cadastro',
+            enviando: 'Enviando',
+            erroEnvio: 'Ocorreu um erro ao enviar o formulário. Por favor, tente novamente.',
+            arquivo: 'Arquivo',
+            arquivosRecusadosContinuar: 'Remova ou substitua os arquivos não aceitos antes de continuar.',
+            arquivosRecusadosEnviar: 'Remova ou substitua os arquivos não aceitos antes de enviar.',
+            pularFormulario: 'Pular para o formulário de cadastro',
+            errosTitulo: 'Confira os campos abaixo:',
+            arquivosLista: 'Arquivos selecionados',
+            arquivosSelecionados: 'Arquivos selecionados: {{quantidade}}.',
+            arquivosNaoAceitos: 'Não aceitos: {{quantidade}}.',
+            nenhumArquivo: 'Nenhum arquivo selecionado.',
+            rascunho: {
+                comecarDoZero: 'Começar do zero',
+                salvarOutroAparelho: 'Salvar e continuar em outro aparelho',
+                linkRotulo: 'Link para continuar o cadastro',
+                copiarLink: 'Copiar link',
+                copiado: 'Copiado!',
+                salvo: 'Rascunho salvo neste aparelho às {{hora}}.',
+                continuandoAparelho: 'Continuando o rascunho salvo neste aparelho em {{data}} às {{hora}}.',
+                continuandoLink: 'Continuando o cadastro salvo pelo link.',
+                linkEnviado: 'Enviamos o link para {{email}}. Abra-o em qualquer aparelho até {{validade}} para continuar de onde parou; os arquivos precisam ser anexados novamente.',
+                guardeLink: 'Guarde o link abaixo para continuar de onde parou até {{validade}}. Os arquivos precisam ser anexados novamente.',
+                guardeLinkSemEmail: 'Guarde o link abaixo para continuar de onde parou até {{validade}} (informe seu email na etapa de contato para recebê-lo também por email). Os arquivos precisam ser anexados novamente.',
+                erroSalvar: 'Não foi possível salvar o rascunho. Tente novamente.',
+                erroCarregar: 'Não foi possível carregar o rascunho. Confira o link recebido por email.',
+                confirmarDescarte: 'Apagar o rascunho e começar o cadastro do zero?'
+            },
+            edicao: {
+                titulo: 'Atualize seu Cadastro',
+                subtitulo: 'Protocolo {{protocolo}}. Corrija os dados e envie os documentos que faltam: o cadastro volta para a análise da nossa equipe.',
+                salvar: 'Salvar Alterações',
+                naoEditavel: 'Este cadastro está com status "{{status}}" e não pode mais ser alterado.',
+                mensagemEquipe: 'Mensagem da equipe',
+                jaEnviados: 'Já enviados: {{arquivos}}',
+                erroCarregar: 'Não foi possível carregar o cadastro. Confira o link recebido por email.'
+            }
+        },
+        confirmacao: {
+            tituloPagina: 'Cadastro Confirmado | Paraty GO!',
+            preparando: 'Preparando sua confirmação...',
+            titulo: 'Obrigado pelo seu cadastro!',
+            mensagem: 'A equipe da <strong>Paraty GO!</strong> recebeu suas informações.<br>\nEntraremos em contato em breve para dar os próximos passos juntos!',
+            protocolo: 'Número de protocolo',
+            acompanhar: 'Acompanhar meu cadastro →',
+            linkPorEmail: 'O link de acompanhamento foi enviado para o seu email.',
+            redes: 'Enquanto isso, siga-nos nas redes sociais 🌊',
+            voltar: 'Voltar para a página inicial'
+        }
+    }
+};
@@ -0,0 +1,65 @@
+/**
+ * Versões das fotos enviadas pelos parceiros
+ *
+ * Cada imagem gera uma miniatura (painel e email) e uma versão web, ambas
+ * em WebP, giradas conforme a orientação EXIF e sem metadados (EXIF, GPS).
+ * O original é regravado no mesmo formato, também sem os metadados: a
+ * localização de onde a foto foi tirada não chega à equipe nem ao site.
+ * Os binários do sharp vêm das dependências opcionais do pacote: a
+ * instalação na Vercel (vercel.json) não pode usar --omit=optional.
+ */
+
+// Carregado sob demanda: sem o binário do sharp instalado, as fotos não
+// podem ser limpas e vão para a quarentena (ver lib/storage)
+const sharp = () => require('sharp');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Formatos que podem levar EXIF/GPS, regravados no mesmo formato. O GIF não
+// tem EXIF e segue como foi enviado (preservando a animação)
+const ORIGINAL_FORMATS = {
+    'image/jpeg': ['jpeg', { quality: 90 }],
+    'image/png': ['png', {}],
+    'image/webp': ['webp', { quality: 90 }]
+};
+
+const VERSIONS = {
+    miniatura: { size: 320, quality: 70 },
+    web: { size: 1600, quality: 80 }
+};
+
+function isImage(mimetype) {
+    return IMAGE_TYPES.includes(mimetype);
+}
+
+/**
+ * Gera as versões da imagem
+ * @returns {Promise<Object<string, { buffer, largura, altura, tamanho }>>}
+ */
+async function createImageVersions(buffer) {
+    const versoes = {};
+
+    for (const [nome, { size, quality }] of Object.entries(VERSIONS)) {
+        // rotate() sem argumentos aplica a orientação EXIF; a saída não
+        // leva metadados porque withMetadata() não é chamado
+        const { data, info } = await sharp()(buffer)
+            .rotate()
+            .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality })
+            .toBuffer({ resolveWithObject: true });
+
+        versoes[nome] = { buffer: data, largura: info.width, altura: info.height, tamanho: info.size };
+    }
+
+    return versoes;
+}
+
+// Original da foto sem metadados, girado conforme a orientação EXIF
+async function stripMetadata(buffer, mimetype) {
+    if (!ORIGINAL_FORMATS[mimetype]) return buffer;
+
+    const [formato, opcoes] = ORIGINAL_FORMATS[mimetype];
+    return sharp()(buffer).rotate().toFormat(formato, opcoes).toBuffer();
+}
+
+module.exports = { createImageVersions, stripMetadata, isImage, IMAGE_TYPES, VERSIONS };
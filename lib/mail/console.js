@@ -0,0 +1,36 @@
+/**
+ * Emails exibidos no console (desenvolvimento)
+ *
+ * Nada é enviado nem gravado: o cabeçalho, a parte em texto e os nomes dos
+ * anexos de cada email saem no log do servidor.
+ */
+
+const crypto = require('crypto');
+
+function createConsoleMailer({ log = console.log } = {}) {
+    return {
+        driver: 'console',
+
+        async send({ from, to, subject, text, attachments }) {
+            const id = crypto.randomUUID();
+
+            log([
+                `📧 Email ${id}`,
+                `De: ${from}`,
+                `Para: ${to}`,
+                `Assunto: ${subject}`,
+                ...(attachments && attachments.length > 0 ? [`Anexos: ${attachments.map(a => a.filename).join(', ')}`] : []),
+                '',
+                text || '(sem parte em texto)'
+            ].join('\n'));
+
+            return { id };
+        },
+
+        async verify() {
+            return 'emails exibidos no console';
+        }
+    };
+}
+
+module.exports = { createConsoleMailer };
@@ -0,0 +1,54 @@
+/**
+ * Emails gravados como arquivos .eml (desenvolvimento e testes)
+ *
+ * Nada é enviado: cada email vira `<data>-<id>.eml` na pasta, com HTML,
+ * texto e anexos, e pode ser aberto em qualquer cliente de email.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { toNodemailerAttachments } = require('./smtp');
+
+// Mensagem completa (RFC 822) no mesmo formato enviado pelo SMTP
+function buildEml({ from, to, subject, html, text, attachments }, id) {
+    const mail = new MailComposer({
+        from,
+        to,
+        subject,
+        html,
+        text,
+        messageId: `<${id}@paratygo.local>`,
+        attachments: toNodemailerAttachments(attachments)
+    });
+
+    return new Promise((resolve, reject) => {
+        mail.compile().build((error, message) => (error ? reject(error) : resolve(message)));
+    });
+}
+
+function createFileMailer({ dir }) {
+    return {
+        driver: 'file',
+
+        async send(mensagem) {
+            const id = crypto.randomUUID();
+            const arquivo = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(arquivo, await buildEml(mensagem, id));
+            console.log(`📄 Email "${mensagem.subject}" para ${mensagem.to} gravado em ${arquivo}`);
+
+            return { id };
+        },
+
+        async verify() {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.access(dir, fs.constants.W_OK);
+            return `arquivos .eml em ${dir}`;
+        }
+    };
+}
+
+module.exports = { createFileMailer, buildEml };
@@ -0,0 +1,58 @@
+/**
+ * Envio de emails
+ *
+ * Todo transporte expõe a mesma interface:
+ *   driver        - identificação gravada na fila de emails
+ *   send(mensagem) - envia { from, to, subject, html, text, attachments } e
+ *                    resolve { id }; falhas rejeitam a promise. Cada anexo é
+ *                    { filename, content (Buffer), contentId? } - com
+ *                    contentId, a imagem é exibida no corpo (cid:<contentId>)
+ *   verify()      - confere a configuração e resolve uma descrição do
+ *                   transporte, para os scripts de monitoramento
+ *
+ * O transporte é escolhido por MAIL_DRIVER ('resend', 'smtp', 'file' ou
+ * 'console'). Sem essa variável, usa o Resend quando RESEND_API_KEY está
+ * definido, o SMTP quando SMTP_HOST está definido e, nos demais casos, grava
+ * os emails como arquivos .eml em MAIL_DIR (padrão ./.data/emails), para
+ * desenvolvimento e testes sem enviar nada. Em produção esse padrão não
+ * vale: sem transporte configurado, nenhum email chegaria aos destinatários.
+ */
+
+const path = require('path');
+const { createResendMailer } = require('./resend');
+const { createSmtpMailer } = require('./smtp');
+const { createFileMailer } = require('./file');
+const { createConsoleMailer } = require('./console');
+const { isProduction } = require('../environment');
+
+function createMailer(env = process.env) {
+    const padrao = isProduction(env) ? null : 'file';
+    const driver = env.MAIL_DRIVER || (env.RESEND_API_KEY ? 'resend' : env.SMTP_HOST ? 'smtp' : padrao);
+
+    if (!driver) {
+        throw new Error('Transporte de emails não configurado - defina RESEND_API_KEY, SMTP_HOST ou MAIL_DRIVER em produção');
+    }
+
+    switch (driver) {
+        case 'resend':
+            return createResendMailer({ apiKey: env.RESEND_API_KEY });
+        case 'smtp':
+            return createSmtpMailer({
+                host: env.SMTP_HOST || 'localhost',
+                port: Number(env.SMTP_PORT) || 1025,
+                secure: env.SMTP_SECURE === 'true',
+                user: env.SMTP_USER,
+                pass: env.SMTP_PASS
+            });
+        case 'file':
+            return createFileMailer({
+                dir: env.MAIL_DIR || path.join(__dirname, '..', '..', '.data', 'emails')
+            });
+        case 'console':
+            return createConsoleMailer();
+        default:
+            throw new Error(`MAIL_DRIVER desconhecido: ${driver}`);
+    }
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,57 @@
+/**
+ * Envio de emails pela API do Resend
+ *
+ * O SDK responde { data, error } em vez de rejeitar: o erro vira exceção,
+ * como nos demais transportes. `client` permite injetar um cliente
+ * compatível com emails.send e domains.list.
+ */
+
+function createResendMailer({ apiKey, client }) {
+    let resend = client;
+    const getClient = () => {
+        if (!resend) {
+            const { Resend } = require('resend');
+            resend = new Resend(apiKey);
+        }
+        return resend;
+    };
+
+    return {
+        driver: 'resend',
+
+        async send({ from, to, subject, html, text, attachments }) {
+            const { data, error } = await getClient().emails.send({
+                from,
+                to,
+                subject,
+                html,
+                text,
+                // O Resend usa content_id para as imagens exibidas no corpo
+                attachments: attachments && attachments.map(({ filename, content, contentId }) => ({
+                    filename,
+                    content,
+                    ...(contentId ? { content_id: contentId } : {})
+                }))
+            });
+
+            if (error) throw new Error(error.message);
+
+            return { id: data ? data.id : null };
+        },
+
+        async verify() {
+            if (!apiKey && !client) throw new Error('RESEND_API_KEY não configurada');
+
+            // A listagem de domínios valida a API key
+            const { data, error } = await getClient().domains.list();
+            if (error) throw new Error(error.message);
+
+            const dominios = data || [];
+            return dominios.length > 0
+                ? `Resend - domínios: ${dominios.map(d => d.name).join(', ')}`
+                : 'Resend - domínio padrão onboarding@resend.dev';
+        }
+    };
+}
+
+module.exports = { createResendMailer };
@@ -0,0 +1,50 @@
+/**
+ * Envio de emails por SMTP (nodemailer)
+ *
+ * Serve para qualquer servidor SMTP e para servidores locais de teste, como
+ * o MailHog ou o Mailpit (padrão localhost:1025, sem autenticação).
+ */
+
+const nodemailer = require('nodemailer');
+
+// Anexos no formato do nodemailer, que usa `cid` para as imagens no corpo
+function toNodemailerAttachments(attachments) {
+    return attachments && attachments.map(({ filename, content, contentId }) => ({
+        filename,
+        content,
+        ...(contentId ? { cid: contentId } : {})
+    }));
+}
+
+function createSmtpMailer({ host, port, secure = false, user, pass }) {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        driver: 'smtp',
+
+        async send({ from, to, subject, html, text, attachments }) {
+            const info = await transporter.sendMail({
+                from,
+                to,
+                subject,
+                html,
+                text,
+                attachments: toNodemailerAttachments(attachments)
+            });
+
+            return { id: info.messageId };
+        },
+
+        async verify() {
+            await transporter.verify();
+            return `SMTP ${host}:${port}`;
+        }
+    };
+}
+
+module.exports = { createSmtpMailer, toNodemailerAttachments };
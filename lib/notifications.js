@@ -0,0 +1,44 @@
+/**
+ * Emails de acompanhamento enviados ao parceiro que preencheu o formulário
+ */
+
+const { renderApplicantEmail, APPLICANT_EMAILS } = require('./email');
+
+/**
+ * Mensagem do tipo informado (ver APPLICANT_EMAILS) para a fila de emails,
+ * com os links de acompanhamento, de edição ou de retomada do rascunho.
+ * `origem` ({ colecao, id }) é o documento (cadastro ou rascunho) que
+ * registra o envio em `emailsEnviados`. Null quando não há o que enviar
+ */
+function applicantMessage({ origem, cadastro, tipo, nota, statusUrl, editUrl, resumeUrl }) {
+    if (!APPLICANT_EMAILS[tipo] || !cadastro.email) return null;
+
+    const { subject, html, text } = renderApplicantEmail(tipo, cadastro, { nota, statusUrl, editUrl, resumeUrl });
+
+    return {
+        tipo,
+        destinatario: 'parceiro',
+        para: cadastro.email,
+        assunto: subject,
+        html,
+        text,
+        origem
+    };
+}
+
+/**
+ * Coloca o email na fila; o envio sai em segundo plano (ver
+ * outbox.deliverLater). Retorna o ID da mensagem na fila, ou null se não
+ * há email para o tipo informado
+ */
+async function notifyApplicant({ outbox, ...options }) {
+    const mensagem = applicantMessage(options);
+    if (!mensagem) return null;
+
+    const ids = await outbox.enqueue([mensagem]);
+    outbox.deliverLater(ids);
+
+    return ids[0];
+}
+
+module.exports = { applicantMessage, notifyApplicant };
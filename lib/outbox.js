@@ -0,0 +1,338 @@
+/**
+ * Fila de saída dos emails (coleção `emails` no Firestore)
+ *
+ * Todo email passa pela fila: a mensagem já renderizada é gravada junto com
+ * o cadastro (no mesmo batch), então nenhum envio se perde quando o serviço
+ * de email está fora do ar - o cadastro é salvo e o parceiro recebe a
+ * resposta de sucesso. A resposta sai assim que a fila está gravada: a
+ * primeira tentativa de envio roda em segundo plano (deliverLater), e as
+ * seguintes ficam com o processamento periódico (processarPendentes), com
+ * espera exponencial entre as tentativas. Na Vercel a função pode ser
+ * congelada logo depois da resposta; o que não sair na hora é enviado
+ * pelo cron.
+ *
+ * Estados de uma mensagem:
+ *   pendente - aguardando o envio (proximaTentativaEm)
+ *   enviando - tentativa em andamento
+ *   enviado  - aceita pelo transporte (mensagemId, ver lib/mail)
+ *   falhou   - tentativas esgotadas; só volta à fila pelo painel (reenviar)
+ *
+ * Cada tentativa é reservada em `emailsTentativas/<id>-<n>` com create(),
+ * que falha se outro processo já a reservou: dois processos nunca enviam a
+ * mesma tentativa, e uma mensagem enviada não é enviada de novo. A reserva
+ * e a passagem para `enviando` são gravadas no mesmo batch. Se o
+ * processo cair durante o envio, a mensagem fica em `enviando` e volta à
+ * fila depois de ENVIO_TIMEOUT_MS - só nesse caso o email pode chegar
+ * repetido.
+ *
+ * Os anexos ficam no armazenamento dos documentos (ver lib/storage) e são
+ * lidos no momento do envio; a fila guarda só o caminho.
+ */
+
+const { serializeValue } = require('./serialize');
+
+const COLECAO = 'emails';
+const COLECAO_TENTATIVAS = 'emailsTentativas';
+
+// Código do Firestore para documento já existente (gRPC ALREADY_EXISTS)
+const ALREADY_EXISTS = 6;
+
+// Tentativa sem resposta depois deste tempo é considerada interrompida
+const ENVIO_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Mensagens lidas da fila a cada processamento
+const LIMITE_CONSULTA = 200;
+
+function createOutbox({
+    db,
+    mailer,
+    storage,
+    maxTentativas = Number(process.env.EMAIL_MAX_TENTATIVAS || 6),
+    backoffMs = 60 * 1000,
+    maxBackoffMs = 6 * 60 * 60 * 1000,
+    now = () => new Date()
+}) {
+    const colecao = () => db.collection(COLECAO);
+
+    // Espera antes da próxima tentativa: 1, 2, 4, 8... minutos, até maxBackoffMs
+    function backoff(tentativa) {
+        return Math.min(backoffMs * 2 ** (tentativa - 1), maxBackoffMs);
+    }
+
+    /**
+     * Adiciona as mensagens ao batch informado e retorna os IDs na fila.
+     * Mensagem: { tipo, para, assunto, html, text, anexos?, destinatario, origem? }
+     *   anexos       - [{ nome, caminho, contentId? }] no armazenamento dos documentos
+     *   destinatario - 'parceiro' ou 'equipe'
+     *   origem       - { colecao, id } do documento que registra o envio
+     *                  em `emailsEnviados` (emails ao parceiro)
+     */
+    function add(batch, mensagens) {
+        const criadoEm = now();
+
+        return mensagens.filter(Boolean).map(mensagem => {
+            const ref = colecao().doc();
+            batch.set(ref, {
+                ...mensagem,
+                de: process.env.EMAIL_FROM,
+                anexos: mensagem.anexos || [],
+                origem: mensagem.origem || null,
+                status: 'pendente',
+                tentativas: 0,
+                limiteTentativas: maxTentativas,
+                proximaTentativaEm: criadoEm,
+                criadoEm
+            });
+            return ref.id;
+        });
+    }
+
+    // Grava as mensagens na fila, fora de outro batch
+    async function enqueue(mensagens) {
+        const batch = db.batch();
+        const ids = add(batch, mensagens);
+        await batch.commit();
+        return ids;
+    }
+
+    // Reserva a tentativa e marca a mensagem como `enviando` de uma só vez:
+    // uma reserva nunca fica gravada com a mensagem ainda `pendente`
+    async function reservarTentativa(ref, tentativa) {
+        const batch = db.batch();
+        batch.create(db.collection(COLECAO_TENTATIVAS).doc(`${ref.id}-${tentativa}`), { criadoEm: now() });
+        batch.update(ref, { status: 'enviando', tentativas: tentativa, ultimaTentativaEm: now() });
+
+        try {
+            await batch.commit();
+            return true;
+        } catch (error) {
+            if (error.code !== ALREADY_EXISTS) throw error;
+            return false;
+        }
+    }
+
+    async function montarAnexos(anexos) {
+        const attachments = [];
+        for (const anexo of anexos) {
+            attachments.push({
+                filename: anexo.nome,
+                content: await storage.read(anexo.caminho),
+                contentId: anexo.contentId
+            });
+        }
+        return attachments.length > 0 ? attachments : undefined;
+    }
+
+    // Resultado final de um email ao parceiro, no documento de origem
+    async function registrar(email) {
+        if (!email.origem) return;
+
+        const registro = {
+            tipo: email.tipo,
+            para: email.para,
+            emailId: email.id,
+            enviadoEm: now()
+        };
+        if (email.status === 'enviado') {
+            registro.mensagemId = email.mensagemId;
+        } else {
+            registro.erro = email.erro;
+        }
+
+        try {
+            const docRef = db.collection(email.origem.colecao).doc(email.origem.id);
+            const doc = await docRef.get();
+            // Rascunhos são apagados depois do envio do cadastro
+            if (!doc.exists) return;
+
+            await docRef.update({ emailsEnviados: [...(doc.data().emailsEnviados || []), registro] });
+        } catch (error) {
+            console.error(`❌ Erro ao registrar o email ${email.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Uma tentativa de envio da mensagem, se ela ainda estiver pendente.
+     * Retorna a mensagem com o estado depois da tentativa, ou null se não existe
+     */
+    async function deliver(id) {
+        const ref = colecao().doc(id);
+        const doc = await ref.get();
+        if (!doc.exists) return null;
+
+        const email = { id, ...doc.data() };
+        if (email.status !== 'pendente') return email;
+
+        const tentativa = (email.tentativas || 0) + 1;
+        if (!(await reservarTentativa(ref, tentativa))) return email;
+
+        let changes;
+        try {
+            const { id: mensagemId } = await mailer.send({
+                from: email.de || process.env.EMAIL_FROM,
+                to: email.para,
+                subject: email.assunto,
+                html: email.html,
+                text: email.text,
+                attachments: await montarAnexos(email.anexos || [])
+            });
+
+            changes = { status: 'enviado', enviadoEm: now(), transporte: mailer.driver, mensagemId, erro: null, proximaTentativaEm: null };
+            console.log(`✅ Email "${email.tipo}" enviado para ${email.para}`);
+        } catch (error) {
+            const esgotado = tentativa >= (email.limiteTentativas || maxTentativas);
+            changes = {
+                status: esgotado ? 'falhou' : 'pendente',
+                erro: error.message,
+                proximaTentativaEm: esgotado ? null : new Date(now().getTime() + backoff(tentativa))
+            };
+            console.error(`❌ Erro ao enviar email "${email.tipo}" para ${email.para} (tentativa ${tentativa}):`, error.message);
+        }
+
+        await ref.update(changes);
+
+        const resultado = { ...email, tentativas: tentativa, ...changes };
+        if (resultado.status !== 'pendente' && resultado.destinatario === 'parceiro') {
+            await registrar(resultado);
+        }
+
+        return resultado;
+    }
+
+    // Uma tentativa de cada mensagem, em sequência; falhas ficam na fila
+    async function deliverAll(ids) {
+        const resultados = [];
+        for (const id of ids) {
+            resultados.push(await deliver(id).catch(error => {
+                console.error(`❌ Erro ao processar o email ${id}:`, error.message);
+                return null;
+            }));
+        }
+        return resultados;
+    }
+
+    // Envios em segundo plano ainda em andamento
+    const emAndamento = new Set();
+
+    // Primeira tentativa logo depois da gravação, sem segurar a resposta da rota
+    function deliverLater(ids) {
+        if (ids.length === 0) return;
+
+        const envio = deliverAll(ids).finally(() => emAndamento.delete(envio));
+        emAndamento.add(envio);
+    }
+
+    // Aguarda os envios em segundo plano (usado nos testes)
+    async function idle() {
+        while (emAndamento.size > 0) {
+            await Promise.all(emAndamento);
+        }
+    }
+
+    /**
+     * Envia as mensagens com tentativa vencida e devolve à fila as que
+     * ficaram presas em `enviando`. Status e datas são filtrados em memória
+     * para não exigir índices compostos no Firestore
+     */
+    async function processarPendentes({ limite = 20 } = {}) {
+        const agora = now();
+        const snapshot = await colecao().where('status', 'in', ['pendente', 'enviando']).limit(LIMITE_CONSULTA).get();
+        const resumo = { enviados: 0, reagendados: 0, falhas: 0, interrompidos: 0 };
+
+        const vencidos = [];
+        for (const doc of snapshot.docs) {
+            const email = serializeValue(doc.data());
+
+            if (email.status === 'enviando') {
+                if (agora - new Date(email.ultimaTentativaEm) < ENVIO_TIMEOUT_MS) continue;
+
+                // Tentativa interrompida: conta como falha
+                const esgotado = email.tentativas >= (email.limiteTentativas || maxTentativas);
+                await colecao().doc(doc.id).update({
+                    status: esgotado ? 'falhou' : 'pendente',
+                    erro: 'Tentativa de envio interrompida',
+                    proximaTentativaEm: esgotado ? null : agora
+                });
+                resumo.interrompidos++;
+                if (esgotado) {
+                    await registrar({ id: doc.id, ...doc.data(), status: 'falhou', erro: 'Tentativa de envio interrompida' });
+                    continue;
+                }
+            } else if (new Date(email.proximaTentativaEm) > agora) {
+                continue;
+            }
+
+            vencidos.push({ id: doc.id, proximaTentativaEm: email.proximaTentativaEm || '' });
+        }
+
+        vencidos.sort((a, b) => (a.proximaTentativaEm < b.proximaTentativaEm ? -1 : 1));
+
+        for (const { id } of vencidos.slice(0, limite)) {
+            const email = await deliver(id).catch(error => {
+                console.error(`❌ Erro ao processar o email ${id}:`, error.message);
+                return null;
+            });
+            if (!email) continue;
+            if (email.status === 'enviado') resumo.enviados++;
+            else if (email.status === 'falhou') resumo.falhas++;
+            else resumo.reagendados++;
+        }
+
+        return resumo;
+    }
+
+    /**
+     * Devolve à fila uma mensagem que falhou, com mais uma tentativa, e
+     * tenta enviá-la na hora
+     */
+    async function retry(id) {
+        const ref = colecao().doc(id);
+        const doc = await ref.get();
+        if (!doc.exists) return null;
+
+        const email = doc.data();
+        if (email.status !== 'falhou') return { id, ...email };
+
+        await ref.update({
+            status: 'pendente',
+            limiteTentativas: (email.tentativas || 0) + 1,
+            proximaTentativaEm: now()
+        });
+
+        return deliver(id);
+    }
+
+    // Processamento periódico no servidor local (na Vercel, pelo cron)
+    function start(intervaloMs = Number(process.env.EMAIL_RETRY_SECONDS || 60) * 1000) {
+        let rodando = false;
+
+        const timer = setInterval(async () => {
+            if (rodando) return;
+            rodando = true;
+            try {
+                const resumo = await processarPendentes();
+                if (resumo.enviados + resumo.reagendados + resumo.falhas + resumo.interrompidos > 0) {
+                    console.log('📬 Fila de emails processada:', resumo);
+                }
+            } catch (error) {
+                console.error('❌ Erro ao processar a fila de emails:', error.message);
+            } finally {
+                rodando = false;
+            }
+        }, intervaloMs);
+        timer.unref();
+
+        return () => clearInterval(timer);
+    }
+
+    return { add, enqueue, deliver, deliverAll, deliverLater, idle, processarPendentes, retry, start };
+}
+
+// Registro de envio devolvido às rotas, sem o conteúdo da mensagem
+function describeEmail(email) {
+    if (!email) return null;
+    const { id, tipo, para, status, tentativas, erro, mensagemId, enviadoEm, proximaTentativaEm } = email;
+    return serializeValue({ id, tipo, para, status, tentativas, erro: erro || null, mensagemId: mensagemId || null, enviadoEm: enviadoEm || null, proximaTentativaEm: proximaTentativaEm || null });
+}
+
+module.exports = { createOutbox, describeEmail, ENVIO_TIMEOUT_MS };
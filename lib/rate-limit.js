@@ -0,0 +1,79 @@
+/**
+ * Limite de requisições em janela fixa, mantido em memória
+ *
+ * Cada instância do servidor (ou da função da Vercel) tem seu próprio
+ * contador, então o limite é por instância - suficiente para conter
+ * rajadas de envio automatizado no formulário.
+ */
+
+const { createTranslator } = require('./i18n');
+
+function createRateLimiter({ windowMs, max, now = Date.now }) {
+    const hits = new Map();
+
+    function prune(time) {
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= time) hits.delete(key);
+        }
+    }
+
+    return {
+        /**
+         * Registra uma tentativa para a chave
+         * @returns {{ allowed: boolean, retryAfter: number }} retryAfter em segundos
+         */
+        hit(key) {
+            const time = now();
+            if (hits.size > 1000) prune(time);
+
+            let entry = hits.get(key);
+            if (!entry || entry.resetAt <= time) {
+                entry = { count: 0, resetAt: time + windowMs };
+                hits.set(key, entry);
+            }
+
+            entry.count++;
+
+            return {
+                allowed: entry.count <= max,
+                retryAfter: Math.ceil((entry.resetAt - time) / 1000)
+            };
+        },
+
+        reset() {
+            hits.clear();
+        }
+    };
+}
+
+// Resposta 429 padrão, com mensagem que o formulário exibe ao usuário
+// no idioma do tradutor `t` da requisição
+function sendRateLimited(res, retryAfter, t = createTranslator()) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        success: false,
+        code: 'rate_limited',
+        message: t('api.limiteTentativas'),
+        retryAfter
+    });
+}
+
+const HOUR = 60 * 60 * 1000;
+
+// Limites do POST /api/cadastro: por IP e por email informado no formulário.
+// Os rascunhos têm limites próprios: gravações por IP (o formulário salva
+// enquanto o parceiro digita) e emails com o link de retomada por endereço e
+// por IP - o endereço não é confirmado, então o IP tem um limite bem menor.
+// A consulta de CEP tem limite por IP, para não servir de proxy aberto ao ViaCEP
+function createCadastroRateLimits(env = process.env) {
+    return {
+        ip: createRateLimiter({ windowMs: HOUR, max: Number(env.RATE_LIMIT_IP_MAX) || 10 }),
+        email: createRateLimiter({ windowMs: 24 * HOUR, max: Number(env.RATE_LIMIT_EMAIL_MAX) || 3 }),
+        rascunho: createRateLimiter({ windowMs: HOUR, max: Number(env.RATE_LIMIT_DRAFT_MAX) || 200 }),
+        rascunhoEmail: createRateLimiter({ windowMs: 24 * HOUR, max: Number(env.RATE_LIMIT_DRAFT_EMAIL_MAX) || 3 }),
+        rascunhoEmailIp: createRateLimiter({ windowMs: 24 * HOUR, max: Number(env.RATE_LIMIT_DRAFT_EMAIL_IP_MAX) || 5 }),
+        cep: createRateLimiter({ windowMs: HOUR, max: Number(env.RATE_LIMIT_CEP_MAX) || 60 })
+    };
+}
+
+module.exports = { createRateLimiter, createCadastroRateLimits, sendRateLimited };
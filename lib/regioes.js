@@ -0,0 +1,24 @@
+/**
+ * Regiões de Paraty usadas para agrupar os parceiros
+ *
+ * Entregues às páginas via /api/config: o formulário lista as regiões e
+ * centraliza o mapa em `centro` ao escolher uma delas; o painel filtra os
+ * cadastros por região. As coordenadas são aproximadas, só para o mapa.
+ */
+
+const REGIOES = {
+    'centro-historico': { rotulo: 'Centro Histórico', centro: [-23.2195, -44.7145] },
+    'jabaquara-pontal': { rotulo: 'Jabaquara / Pontal', centro: [-23.2105, -44.7120] },
+    'cabore-portao-vermelho': { rotulo: 'Caborê / Portão Vermelho', centro: [-23.2260, -44.7230] },
+    'trindade': { rotulo: 'Trindade', centro: [-23.3520, -44.7240] },
+    'paraty-mirim': { rotulo: 'Paraty-Mirim', centro: [-23.2560, -44.6290] },
+    'mamangua-juatinga': { rotulo: 'Saco do Mamanguá / Juatinga', centro: [-23.2870, -44.6420] },
+    'tarituba-sao-goncalo': { rotulo: 'Tarituba / São Gonçalo', centro: [-23.0600, -44.6000] },
+    'estrada-paraty-cunha': { rotulo: 'Penha / Estrada Paraty-Cunha', centro: [-23.2050, -44.7900] },
+    'ilhas-baia': { rotulo: 'Ilhas e Baía de Paraty', centro: [-23.1700, -44.6500] },
+    'outra': { rotulo: 'Outra localidade', centro: null }
+};
+
+const REGIOES_IDS = Object.keys(REGIOES);
+
+module.exports = { REGIOES, REGIOES_IDS };
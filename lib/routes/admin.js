@@ -0,0 +1,345 @@
+/**
+ * Rotas da área administrativa - /api/admin
+ * Todas exigem um revisor autenticado (ver lib/auth.js)
+ */
+
+const express = require('express');
+const { REVIEW_STATUSES } = require('../status');
+const { applicantMessage } = require('../notifications');
+const { describeEmail } = require('../outbox');
+const { serializeValue, serializeDoc } = require('../serialize');
+const { sha256 } = require('../storage');
+const { describeTermos } = require('../termos');
+
+// Tamanho das páginas das listagens; `proximo` na resposta pede a página
+// seguinte com `?apos=`. As consultas filtradas usam os índices compostos de
+// firestore.indexes.json (`npx firebase-tools deploy --only firestore:indexes`)
+const LIST_LIMIT = 500;
+
+// Estados da fila de emails (ver lib/outbox.js)
+const EMAIL_STATUSES = ['pendente', 'enviando', 'enviado', 'falhou'];
+
+// Filtro da query string: só um valor simples, sem listas nem objetos
+function queryFilter(value) {
+    return typeof value === 'string' && value ? value : null;
+}
+
+// Cursor `?apos=`: o ID do último documento da página anterior
+function pageCursor(value) {
+    return typeof value === 'string' && /^[\w-]+$/.test(value) ? value : null;
+}
+
+// Corta a página pedida com um item a mais, que indica se há próxima
+function paginate(docs) {
+    const pagina = docs.slice(0, LIST_LIMIT);
+    return { pagina, proximo: docs.length > LIST_LIMIT ? pagina[pagina.length - 1].id : null };
+}
+
+function invalidCursor(res) {
+    return res.status(400).json({ success: false, message: 'Página inválida. Recarregue a listagem.' });
+}
+
+// Interpreta uma data YYYY-MM-DD do filtro; `endOfDay` inclui o dia inteiro
+function parseDateFilter(value, endOfDay = false) {
+    if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}-03:00`);
+    return isNaN(date) ? null : date;
+}
+
+function createAdminRouter({ db, cadastros, outbox, storage, requireReviewer, tracking, termos }) {
+    const router = express.Router();
+
+    router.use(requireReviewer);
+
+    // Lista de cadastros com filtros por status, categoria, região e período,
+    // em páginas de LIST_LIMIT
+    router.get('/cadastros', async (req, res) => {
+        try {
+            const cursor = pageCursor(req.query.apos);
+            const apos = cursor && await cadastros.get(cursor);
+            if (req.query.apos && !apos) return invalidCursor(res);
+
+            const docs = await cadastros.list({
+                status: queryFilter(req.query.status),
+                categoria: queryFilter(req.query.categoria),
+                regiao: queryFilter(req.query.regiao),
+                de: parseDateFilter(req.query.de),
+                ate: parseDateFilter(req.query.ate, true),
+                depoisDe: apos,
+                limite: LIST_LIMIT + 1
+            });
+            const { pagina, proximo } = paginate(docs);
+
+            const lista = pagina
+                .map(serializeDoc)
+                .map(c => ({
+                    id: c.id,
+                    nomeEmpresa: c.nomeEmpresa,
+                    categoria: c.categoria,
+                    nomeResponsavel: c.nomeResponsavel,
+                    email: c.email,
+                    status: c.status,
+                    regiao: c.regiao || null,
+                    // Posição no mapa do painel
+                    latitude: c.latitude ?? null,
+                    longitude: c.longitude ?? null,
+                    quarentena: !!c.quarentena,
+                    termosPendentes: termos.pendente(c),
+                    dataEnvio: c.dataEnvio
+                }));
+
+            res.json({ success: true, cadastros: lista, proximo });
+
+        } catch (error) {
+            console.error('❌ Erro ao listar cadastros:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao listar cadastros.',
+                error: error.message
+            });
+        }
+    });
+
+    // Parceiros que precisam aceitar a versão vigente dos termos: sem registro
+    // de aceite (cadastros anteriores ao versionamento) ou com outra versão.
+    // Cadastros rejeitados ficam de fora. A versão aceita não dá para filtrar
+    // na consulta (falta nos cadastros antigos), então todos os cadastros são
+    // lidos, página a página
+    router.get('/termos', async (req, res) => {
+        try {
+            const docs = [];
+            let total = 0;
+            let pagina = [];
+            do {
+                pagina = await cadastros.list({ depoisDe: pagina[pagina.length - 1] || null, limite: LIST_LIMIT });
+                total += pagina.length;
+                docs.push(...pagina.filter(doc => doc.data().status !== 'rejeitado' && termos.pendente(doc.data())));
+            } while (pagina.length === LIST_LIMIT);
+
+            const pendentes = docs
+                .map(serializeDoc)
+                .map(c => ({
+                    id: c.id,
+                    nomeEmpresa: c.nomeEmpresa,
+                    nomeResponsavel: c.nomeResponsavel,
+                    email: c.email,
+                    status: c.status,
+                    versaoAceita: c.aceiteTermos ? c.aceiteTermos.versao : null,
+                    aceitoEm: c.aceiteTermos ? c.aceiteTermos.aceitoEm : null,
+                    dataEnvio: c.dataEnvio
+                }));
+
+            res.json({
+                success: true,
+                atual: describeTermos(termos.atual),
+                versoes: termos.versoes.map(describeTermos),
+                total,
+                pendentes
+            });
+
+        } catch (error) {
+            console.error('❌ Erro ao listar aceites dos termos:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao listar aceites dos termos.',
+                error: error.message
+            });
+        }
+    });
+
+    // Fila de emails: mensagens ainda não entregues (pendentes e com falha),
+    // mais recentes primeiro, em páginas de LIST_LIMIT
+    router.get('/emails', async (req, res) => {
+        try {
+            const status = EMAIL_STATUSES.includes(req.query.status) ? [req.query.status] : ['pendente', 'enviando', 'falhou'];
+
+            let query = db.collection('emails').where('status', 'in', status).orderBy('criadoEm', 'desc');
+            if (req.query.apos) {
+                const cursor = pageCursor(req.query.apos);
+                const apos = cursor && await db.collection('emails').doc(cursor).get();
+                if (!apos || !apos.exists) return invalidCursor(res);
+                query = query.startAfter(apos);
+            }
+            const snapshot = await query.limit(LIST_LIMIT + 1).get();
+            const { pagina, proximo } = paginate(snapshot.docs);
+
+            const emails = pagina
+                .map(doc => ({
+                    ...describeEmail({ id: doc.id, ...doc.data() }),
+                    assunto: doc.data().assunto,
+                    destinatario: doc.data().destinatario,
+                    origem: doc.data().origem || null,
+                    criadoEm: serializeValue(doc.data().criadoEm)
+                }));
+
+            res.json({ success: true, emails, proximo });
+
+        } catch (error) {
+            console.error('❌ Erro ao listar a fila de emails:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao listar a fila de emails.',
+                error: error.message
+            });
+        }
+    });
+
+    // Nova tentativa de um email que esgotou as tentativas automáticas
+    router.post('/emails/:id/reenviar', async (req, res) => {
+        try {
+            const email = await outbox.retry(req.params.id);
+
+            if (!email) {
+                return res.status(404).json({ success: false, message: 'Email não encontrado' });
+            }
+
+            console.log(`🔁 Email ${req.params.id} reenviado por ${req.reviewer.email}: ${email.status}`);
+            res.json({ success: true, email: describeEmail(email) });
+
+        } catch (error) {
+            console.error('❌ Erro ao reenviar email:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao reenviar email.',
+                error: error.message
+            });
+        }
+    });
+
+    // Registro completo de um cadastro
+    router.get('/cadastros/:id', async (req, res) => {
+        try {
+            const doc = await cadastros.get(req.params.id);
+
+            if (!doc) {
+                return res.status(404).json({ success: false, message: 'Cadastro não encontrado' });
+            }
+
+            res.json({ success: true, cadastro: serializeDoc(doc) });
+
+        } catch (error) {
+            console.error('❌ Erro ao buscar cadastro:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar cadastro.',
+                error: error.message
+            });
+        }
+    });
+
+    // Mudança de status com nota obrigatória, registrada no histórico
+    router.post('/cadastros/:id/status', async (req, res) => {
+        const status = req.body.status;
+        const nota = typeof req.body.nota === 'string' ? req.body.nota.trim() : '';
+
+        const errors = {};
+        if (!REVIEW_STATUSES.includes(status)) errors.status = 'Selecione um status válido';
+        if (!nota) errors.nota = 'A nota é obrigatória';
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(422).json({
+                success: false,
+                message: 'Alguns campos precisam de atenção.',
+                errors
+            });
+        }
+
+        try {
+            const doc = await cadastros.get(req.params.id);
+
+            if (!doc) {
+                return res.status(404).json({ success: false, message: 'Cadastro não encontrado' });
+            }
+
+            const revisao = {
+                status,
+                statusAnterior: doc.data().status || null,
+                nota,
+                revisor: req.reviewer.email,
+                data: new Date()
+            };
+
+            const changes = {
+                status,
+                ultimaRevisao: revisao,
+                historico: [...(doc.data().historico || []), revisao]
+            };
+
+            // Aviso ao parceiro (aprovado, rejeitado ou pendente de documentos),
+            // gravado na fila de emails junto com a mudança de status
+            const batch = db.batch();
+            cadastros.update(doc.id, changes, batch);
+            const [emailId] = outbox.add(batch, [applicantMessage({
+                origem: { colecao: 'cadastros', id: doc.id },
+                cadastro: { ...doc.data(), ...changes },
+                tipo: status,
+                nota,
+                statusUrl: tracking.statusUrl(doc.id),
+                editUrl: status === 'pendente_documentos' ? tracking.editUrl(doc.id) : null
+            })]);
+            await batch.commit();
+
+            console.log(`✅ Cadastro ${doc.id} movido para ${status} por ${req.reviewer.email}`);
+
+            // O aviso sai da fila em segundo plano; o andamento fica no cadastro
+            // (emailsEnviados) e, se falhar, na fila de emails do painel
+            if (emailId) outbox.deliverLater([emailId]);
+
+            res.json({ success: true, revisao: serializeValue(revisao), email: emailId ? { id: emailId, status: 'pendente' } : null });
+
+        } catch (error) {
+            console.error('❌ Erro ao atualizar status:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao atualizar status.',
+                error: error.message
+            });
+        }
+    });
+
+    // Download de um documento enviado no cadastro; `?versao=miniatura|web`
+    // devolve uma das versões geradas para fotos (ver lib/images.js)
+    router.get('/cadastros/:id/arquivos/:indice', async (req, res) => {
+        try {
+            const doc = await cadastros.get(req.params.id);
+            const original = doc ? (doc.data().arquivos || [])[Number(req.params.indice)] : null;
+            const versao = req.query.versao;
+            const arquivo = original && versao
+                ? original.versoes && Object.hasOwn(original.versoes, versao) && { ...original.versoes[versao], nome: original.nome }
+                : original;
+
+            if (!arquivo) {
+                return res.status(404).json({ success: false, message: 'Arquivo não encontrado' });
+            }
+
+            // Arquivos suspeitos ficam só no armazenamento, para análise fora do painel
+            if (arquivo.quarentena) {
+                return res.status(409).json({ success: false, message: 'Arquivo em quarentena: download bloqueado.' });
+            }
+
+            const content = await storage.read(arquivo.caminho);
+
+            // Integridade: o conteúdo armazenado deve ser o mesmo recebido no envio
+            if (arquivo.sha256 && sha256(content) !== arquivo.sha256) {
+                console.error(`❌ Arquivo ${arquivo.caminho} diferente do enviado (sha256)`);
+                return res.status(409).json({ success: false, message: 'O arquivo armazenado não corresponde ao enviado.' });
+            }
+
+            res.set('Content-Type', arquivo.tipo || 'application/octet-stream');
+            if (!versao) res.attachment(arquivo.nome);
+            res.send(content);
+
+        } catch (error) {
+            console.error('❌ Erro ao baixar arquivo:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao baixar arquivo.',
+                error: error.message
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,643 @@
+/**
+ * Rotas de cadastro de parceiros - /api/cadastro
+ *
+ * As chaves de idempotência do formulário ficam na coleção `idempotencia`
+ * (e as retomadas de envios interrompidos em `idempotenciaRetomadas`), com
+ * o vencimento em `expiraEm`. No Firestore, uma política de TTL nesse campo
+ * apaga os registros vencidos:
+ *   gcloud firestore fields ttls update expiraEm --collection-group=idempotencia --enable-ttl
+ *   gcloud firestore fields ttls update expiraEm --collection-group=idempotenciaRetomadas --enable-ttl
+ * Até a remoção, que pode levar algumas horas, uma chave vencida já é
+ * tratada como livre.
+ */
+
+const path = require('path');
+const express = require('express');
+const { receiveUploads } = require('../upload');
+const { renderCadastroEmail } = require('../email');
+const { cadastroSchema, validateCadastro } = require('../schema');
+const { storeUploads } = require('../storage');
+const { scanUploads } = require('../scanner');
+const { applicantMessage, notifyApplicant } = require('../notifications');
+const { sendRateLimited } = require('../rate-limit');
+const { buildChaves, findOpenDuplicate } = require('../duplicates');
+const { consultarCnpj } = require('../cnpj-lookup');
+const { protocoloFor } = require('../tracking');
+const { STATUS, OPEN_STATUSES } = require('../status');
+const { serializeDoc } = require('../serialize');
+const { resolveIdioma } = require('../i18n');
+const { registroAceite, comAceite, describeTermos } = require('../termos');
+
+// Campo invisível no formulário: só robôs o preenchem
+const HONEYPOT_FIELD = 'website';
+
+// Formato aceito para a chave gerada pelo formulário (crypto.randomUUID)
+const IDEMPOTENCY_KEY_PATTERN = /^[\w-]{16,64}$/;
+
+// Campos que o parceiro pode alterar ao reenviar o formulário
+const REVISABLE_FIELDS = Object.keys(cadastroSchema).filter(field => field !== 'termos');
+
+// Validação da edição pelo link: os mesmos campos, sem o aceite dos termos
+const edicaoSchema = Object.fromEntries(REVISABLE_FIELDS.map(field => [field, cadastroSchema[field]]));
+
+// Código do Firestore para documento já existente (gRPC ALREADY_EXISTS)
+const ALREADY_EXISTS = 6;
+
+// Chave sem cadastro depois deste tempo é de um envio interrompido e volta a ficar livre
+const LOCK_TTL_MS = 5 * 60 * 1000;
+
+// Tempo em que a resposta de um envio fica guardada para os cliques repetidos
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Data gravada no Firestore (Timestamp) ou no banco local (Date)
+function toDate(value) {
+    return value && typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+}
+
+function novoLock() {
+    const criadoEm = new Date();
+    return { criadoEm, expiraEm: new Date(criadoEm.getTime() + IDEMPOTENCY_TTL_MS), cadastroId: null };
+}
+
+/**
+ * Cria o registro da chave de idempotência.
+ * Retorna os dados do registro anterior quando a chave já foi usada.
+ *
+ * Uma chave de envio interrompido, ou vencida, é retomada com create() de
+ * `idempotenciaRetomadas/<chave>-<criadoEm>` no mesmo batch que renova o
+ * registro: entre envios simultâneos que encontram o mesmo registro, só um
+ * consegue a retomada, e os demais a veem como envio em andamento.
+ */
+async function acquireLock(db, lockRef) {
+    try {
+        await lockRef.create(novoLock());
+        return null;
+    } catch (error) {
+        if (error.code !== ALREADY_EXISTS) throw error;
+    }
+
+    const lock = (await lockRef.get()).data();
+    const interrompido = !lock.cadastroId && !(Date.now() - toDate(lock.criadoEm).getTime() < LOCK_TTL_MS);
+    const vencido = Date.now() >= toDate(lock.expiraEm).getTime();
+    if (!interrompido && !vencido) return lock;
+
+    const renovado = novoLock();
+    const batch = db.batch();
+    batch.create(db.collection('idempotenciaRetomadas').doc(`${lockRef.id}-${toDate(lock.criadoEm).getTime()}`), {
+        criadoEm: renovado.criadoEm,
+        expiraEm: renovado.expiraEm
+    });
+    batch.set(lockRef, renovado);
+
+    try {
+        await batch.commit();
+        return null;
+    } catch (error) {
+        if (error.code !== ALREADY_EXISTS) throw error;
+        return { cadastroId: null };
+    }
+}
+
+function createCadastroRouter({ db, cadastros, outbox, storage, scanner, serverTimestamp, captcha, rateLimits, minFillMs, tracking, cnpjLookup, termos }) {
+    const router = express.Router();
+
+    // `mensagens(id, cadastro, arquivos)` monta os emails sobre o envio,
+    // gravados na fila junto com o cadastro (ver lib/outbox.js)
+    async function createCadastro(values, chaves, files, mensagens) {
+        // Gerar o ID antes de gravar para guardar os arquivos sob ele
+        const id = cadastros.newId();
+        const arquivos = await storeUploads(storage, id, files);
+
+        const cadastro = {
+            ...values,
+            protocolo: protocoloFor(id),
+            chaves,
+            arquivos,
+            // Marca o cadastro para a revisão quando algum arquivo foi para a quarentena
+            quarentena: arquivos.some(a => a.quarentena),
+            dataEnvio: serverTimestamp(),
+            status: 'pendente'
+        };
+
+        // Salvar o cadastro, com os emails na fila
+        const batch = db.batch();
+        cadastros.create(batch, id, cadastro);
+        const emails = outbox.add(batch, mensagens(id, cadastro, arquivos));
+        await batch.commit();
+        console.log('✅ Cadastro salvo:', id);
+
+        return { id, cadastro, emails };
+    }
+
+    // Alterações do parceiro entram como revisão do cadastro existente,
+    // com os valores anteriores e novos de cada campo alterado. Os emails
+    // de `mensagens(id, cadastro, novosArquivos)` vão junto para a fila
+    async function applyRevision(doc, values, chaves, files, origem, mensagens, extra = {}) {
+        const atual = doc.data();
+        const novosArquivos = await storeUploads(storage, doc.id, files, (atual.arquivos || []).length);
+
+        const campos = {};
+        for (const field of REVISABLE_FIELDS) {
+            if ((atual[field] ?? null) !== values[field]) {
+                campos[field] = { de: atual[field] ?? null, para: values[field] };
+            }
+        }
+
+        // Campos específicos da categoria, comparados um a um
+        const detalhesAtuais = atual.detalhes || {};
+        for (const field of new Set([...Object.keys(detalhesAtuais), ...Object.keys(values.detalhes)])) {
+            const de = detalhesAtuais[field] ?? null;
+            const para = values.detalhes[field] ?? null;
+            if (de !== para) {
+                campos[`detalhes.${field}`] = { de, para };
+            }
+        }
+
+        const revisao = {
+            data: new Date(),
+            origem,
+            campos,
+            arquivos: novosArquivos.map(a => a.nome)
+        };
+
+        const changes = {
+            ...values,
+            chaves,
+            arquivos: [...(atual.arquivos || []), ...novosArquivos],
+            quarentena: !!atual.quarentena || novosArquivos.some(a => a.quarentena),
+            revisoes: [...(atual.revisoes || []), revisao],
+            atualizadoEm: serverTimestamp(),
+            ...extra
+        };
+
+        const cadastro = { ...atual, ...changes };
+
+        const batch = db.batch();
+        cadastros.update(doc.id, changes, batch);
+        const emails = outbox.add(batch, mensagens(doc.id, cadastro, novosArquivos));
+        await batch.commit();
+
+        return { id: doc.id, cadastro, revisao, emails };
+    }
+
+    // Cadastro apontado por um link de acompanhamento válido, ou null
+    async function findByToken(token) {
+        const id = tracking.verify(token);
+        return id ? cadastros.get(id) : null;
+    }
+
+    // Email para a equipe com os dados do cadastro e os arquivos recebidos
+    // neste envio, que seguem do armazenamento como anexo
+    function teamMessage(id, cadastro, arquivos, atualizacao) {
+        // Anexos sem os arquivos em quarentena. Fotos seguem só como
+        // miniatura, exibida no corpo do email
+        const anexos = [];
+        const fotos = [];
+        arquivos.filter(arquivo => !arquivo.quarentena).forEach((arquivo, i) => {
+            if (arquivo.versoes && arquivo.versoes.miniatura) {
+                const cid = `foto-${i + 1}`;
+                fotos.push({ nome: arquivo.nome, cid });
+                anexos.push({
+                    nome: `${path.parse(arquivo.nome).name}-miniatura.webp`,
+                    caminho: arquivo.versoes.miniatura.caminho,
+                    contentId: cid
+                });
+                return;
+            }
+
+            anexos.push({ nome: arquivo.nome, caminho: arquivo.caminho });
+        });
+
+        const { html, text } = renderCadastroEmail(cadastro, { atualizacao, fotos });
+
+        return {
+            tipo: atualizacao ? 'cadastro_atualizado' : 'cadastro_novo',
+            destinatario: 'equipe',
+            para: process.env.EMAIL_TO,
+            assunto: atualizacao
+                ? `🔁 Cadastro Atualizado Paraty GO! - ${cadastro.nomeEmpresa}`
+                : `🌴 Novo Cadastro Paraty GO! - ${cadastro.nomeEmpresa}`,
+            html,
+            text,
+            anexos,
+            origem: { colecao: 'cadastros', id }
+        };
+    }
+
+    // Emails de um envio do formulário: aviso à equipe e confirmação para o
+    // parceiro, com o link de acompanhamento
+    function submissionMessages(atualizacao) {
+        return (id, cadastro, arquivos) => [
+            teamMessage(id, cadastro, arquivos, atualizacao),
+            applicantMessage({
+                origem: { colecao: 'cadastros', id },
+                cadastro,
+                tipo: atualizacao ? 'atualizado' : 'recebido',
+                statusUrl: tracking.statusUrl(id)
+            })
+        ];
+    }
+
+    // Links de acompanhamento e edição de um cadastro em andamento, enviados
+    // só ao email registrado nele. Um envio com outro email conta também no
+    // limite do email registrado, para não virar disparo de emails ao parceiro
+    async function sendTrackingLink(doc, chaves) {
+        const cadastro = doc.data();
+        const registrado = cadastro.chaves && cadastro.chaves.email;
+        if (registrado && registrado !== chaves.email && !rateLimits.email.hit(registrado).allowed) return;
+
+        await notifyApplicant({
+            outbox,
+            origem: { colecao: 'cadastros', id: doc.id },
+            cadastro,
+            tipo: 'link',
+            statusUrl: tracking.statusUrl(doc.id),
+            editUrl: tracking.editUrl(doc.id)
+        });
+    }
+
+    // Rascunho do formulário salvo no servidor, apagado depois do envio
+    async function deleteDraft(token) {
+        const id = tracking.verifyDraft(token);
+        if (!id) return;
+
+        await db.collection('rascunhos').doc(id).delete()
+            .catch(error => console.error('❌ Erro ao apagar rascunho:', error.message));
+    }
+
+    // Limite por IP antes de receber os arquivos
+    function limitByIp(req, res, next) {
+        const { allowed, retryAfter } = rateLimits.ip.hit(req.ip);
+        if (!allowed) {
+            console.warn('🚫 Limite de cadastros por IP atingido:', req.ip);
+            return sendRateLimited(res, retryAfter, req.t);
+        }
+        next();
+    }
+
+    // Rota para receber o formulário
+    router.post('/cadastro', limitByIp, receiveUploads('documentos'), async (req, res) => {
+        let lockRef = null;
+
+        // Libera a chave de idempotência se o cadastro não chegou a ser salvo
+        async function releaseLock() {
+            if (lockRef) {
+                const lock = await lockRef.get();
+                if (!lock.exists || !lock.data().cadastroId) await lockRef.delete();
+                lockRef = null;
+            }
+        }
+
+        try {
+            // Honeypot preenchido: responde como sucesso sem salvar nada
+            if (req.body[HONEYPOT_FIELD]) {
+                console.warn('🚫 Cadastro descartado pelo honeypot:', req.ip);
+                return res.status(200).json({ success: true, message: req.t('api.cadastroRealizado') });
+            }
+
+            // Tempo de preenchimento medido no navegador, em milissegundos
+            const tempoPreenchimento = Number(req.body.tempoPreenchimento);
+            if (minFillMs > 0 && !(tempoPreenchimento >= minFillMs)) {
+                return res.status(400).json({
+                    success: false,
+                    code: 'too_fast',
+                    message: req.t('api.envioRapido')
+                });
+            }
+
+            const { errors, values } = validateCadastro(req.body, cadastroSchema, req.t);
+
+            // Versão dos termos exibida no formulário: o aceite de uma versão
+            // substituída precisa ser refeito com o texto vigente
+            if (!errors.termos && req.body.termosVersao && req.body.termosVersao !== termos.atual.versao) {
+                errors.termos = req.t('validacao.termosDesatualizados');
+            }
+
+            if (Object.keys(errors).length > 0) {
+                return res.status(422).json({
+                    success: false,
+                    message: req.t('api.camposInvalidos'),
+                    errors
+                });
+            }
+
+            if (!(await captcha.verify(req.body[captcha.field], req.ip))) {
+                return res.status(400).json({
+                    success: false,
+                    code: 'captcha_invalid',
+                    message: req.t('api.captchaInvalido')
+                });
+            }
+
+            const chaves = buildChaves(values);
+
+            // Chave de idempotência gerada pelo formulário: cliques repetidos
+            // no envio devolvem o mesmo cadastro em vez de criar outro, sem
+            // contar no limite por email
+            if (IDEMPOTENCY_KEY_PATTERN.test(req.body.idempotencyKey || '')) {
+                lockRef = db.collection('idempotencia').doc(req.body.idempotencyKey);
+                const previous = await acquireLock(db, lockRef);
+
+                if (previous) {
+                    lockRef = null;
+                    return previous.resposta
+                        ? res.status(200).json(previous.resposta)
+                        : res.status(409).json({
+                            success: false,
+                            code: 'in_progress',
+                            message: req.t('api.envioEmAndamento')
+                        });
+                }
+            }
+
+            const emailLimit = rateLimits.email.hit(chaves.email);
+            if (!emailLimit.allowed) {
+                console.warn('🚫 Limite de cadastros por email atingido:', values.email);
+                await releaseLock();
+                return sendRateLimited(res, emailLimit.retryAfter, req.t);
+            }
+
+            // Cadastro em andamento com o mesmo email, WhatsApp, nome de empresa
+            // ou CPF/CNPJ: os novos dados só o atualizam com o link de
+            // acompanhamento (`token`), que prova ser o mesmo responsável.
+            // Sem ele, nada é gravado e o link segue para o email do cadastro
+            const duplicate = await findOpenDuplicate(cadastros, chaves);
+            if (duplicate && !(duplicate.matches.includes('email') && tracking.verify(req.body.token) === duplicate.doc.id)) {
+                await releaseLock();
+                await sendTrackingLink(duplicate.doc, chaves);
+                return res.status(409).json({
+                    success: false,
+                    code: 'duplicate',
+                    message: req.t('api.duplicado')
+                });
+            }
+
+            // Idioma escolhido na página: os emails ao parceiro seguem nele
+            values.idioma = resolveIdioma(req.body.idioma) || req.idioma;
+
+            // Razão social registrada para o CNPJ, para conferência na revisão
+            values.consultaCnpj = await consultarCnpj(cnpjLookup, values);
+
+            // Aceite dos termos vigentes, guardado com o cadastro
+            const aceite = registroAceite(termos, req);
+
+            await scanUploads(scanner, req.files);
+
+            // Reenvio do mesmo parceiro: os novos dados atualizam o cadastro existente
+            const { id, cadastro, revisao, emails } = duplicate
+                ? await applyRevision(duplicate.doc, values, chaves, req.files, 'reenvio', submissionMessages(true), comAceite(duplicate.doc.data(), aceite))
+                : await createCadastro({ ...values, ...comAceite({}, aceite) }, chaves, req.files, submissionMessages(false));
+
+            if (revisao) {
+                console.log('🔁 Cadastro existente atualizado com novo envio:', id);
+            }
+
+            // O cadastro já está salvo: os emails saem da fila em segundo plano
+            outbox.deliverLater(emails);
+
+            await deleteDraft(req.body.rascunho);
+
+            // O link só volta na resposta para um cadastro novo; na atualização
+            // ele segue apenas para o email já registrado no cadastro
+            const resposta = {
+                success: true,
+                message: req.t(revisao ? 'api.cadastroReenviado' : 'api.cadastroRealizado'),
+                id,
+                protocolo: cadastro.protocolo || protocoloFor(id),
+                token: revisao ? null : tracking.sign(id),
+                atualizado: !!revisao
+            };
+
+            if (lockRef) {
+                await lockRef.update({ cadastroId: id, resposta });
+            }
+
+            res.status(200).json(resposta);
+
+        } catch (error) {
+            console.error('❌ Erro ao processar cadastro:', error);
+            await releaseLock().catch(() => {});
+            res.status(500).json({
+                success: false,
+                message: req.t('api.erroProcessar'),
+                error: error.message
+            });
+        }
+    });
+
+    // Validação de uma etapa do formulário com as mesmas regras do envio:
+    // responde apenas os erros dos campos listados em `campos`
+    router.post('/cadastro/validar', (req, res) => {
+        const { valores, campos, edicao } = req.body;
+        const input = valores && typeof valores === 'object' ? valores : {};
+        const { errors } = validateCadastro(input, edicao ? edicaoSchema : cadastroSchema, req.t);
+
+        const etapa = Array.isArray(campos) ? campos : [];
+        const errosEtapa = Object.fromEntries(Object.entries(errors).filter(([field]) => etapa.includes(field)));
+
+        res.json({ success: true, valid: Object.keys(errosEtapa).length === 0, errors: errosEtapa });
+    });
+
+    // Andamento do cadastro para o parceiro, pelo link privado de acompanhamento
+    router.get('/cadastro/:token/status', async (req, res) => {
+        try {
+            const doc = await findByToken(req.params.token);
+
+            if (!doc) {
+                return res.status(404).json({ success: false, message: req.t('api.linkInvalido') });
+            }
+
+            const cadastro = serializeDoc(doc);
+
+            res.json({
+                success: true,
+                protocolo: cadastro.protocolo || protocoloFor(doc.id),
+                nomeEmpresa: cadastro.nomeEmpresa,
+                status: cadastro.status,
+                statusLabel: req.t(`status.${cadastro.status}`, {}, STATUS[cadastro.status] || cadastro.status),
+                dataEnvio: cadastro.dataEnvio,
+                editavel: OPEN_STATUSES.includes(cadastro.status),
+                mensagem: cadastro.ultimaRevisao ? cadastro.ultimaRevisao.nota : null,
+                atualizadoEm: cadastro.ultimaRevisao ? cadastro.ultimaRevisao.data : cadastro.atualizadoEm || null,
+                historico: (cadastro.historico || []).map(h => ({
+                    status: h.status,
+                    statusLabel: req.t(`status.${h.status}`, {}, STATUS[h.status] || h.status),
+                    data: h.data
+                })),
+                // Termos vigentes e a versão aceita: `pendente` pede um novo aceite
+                termos: {
+                    ...describeTermos(termos.atual),
+                    versaoAceita: cadastro.aceiteTermos ? cadastro.aceiteTermos.versao : null,
+                    aceitoEm: cadastro.aceiteTermos ? cadastro.aceiteTermos.aceitoEm : null,
+                    pendente: termos.pendente(cadastro)
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erro ao consultar status do cadastro:', error);
+            res.status(500).json({
+                success: false,
+                message: req.t('api.erroConsultar'),
+                error: error.message
+            });
+        }
+    });
+
+    // Novo aceite dos termos pelo link de acompanhamento, depois da publicação
+    // de uma nova versão. `versao` é a versão exibida ao parceiro
+    router.post('/cadastro/:token/termos', async (req, res) => {
+        try {
+            const doc = await findByToken(req.params.token);
+
+            if (!doc) {
+                return res.status(404).json({ success: false, message: req.t('api.linkInvalido') });
+            }
+
+            if (req.body.aceito !== true || req.body.versao !== termos.atual.versao) {
+                return res.status(422).json({
+                    success: false,
+                    message: req.t('api.camposInvalidos'),
+                    errors: {
+                        termos: req.t(req.body.aceito === true ? 'validacao.termosDesatualizados' : 'validacao.termos')
+                    }
+                });
+            }
+
+            const aceite = registroAceite(termos, req);
+            await cadastros.update(doc.id, comAceite(doc.data(), aceite));
+            console.log(`📜 Termos ${aceite.versao} aceitos pelo parceiro:`, doc.id);
+
+            res.json({
+                success: true,
+                message: req.t('api.termosAceitos'),
+                termos: { ...describeTermos(termos.atual), versaoAceita: aceite.versao, aceitoEm: aceite.aceitoEm.toISOString(), pendente: false }
+            });
+
+        } catch (error) {
+            console.error('❌ Erro ao registrar aceite dos termos:', error);
+            res.status(500).json({
+                success: false,
+                message: req.t('api.erroAceitarTermos'),
+                error: error.message
+            });
+        }
+    });
+
+    // Dados atuais do cadastro para a página de edição do parceiro
+    router.get('/cadastro/:token', async (req, res) => {
+        try {
+            const doc = await findByToken(req.params.token);
+
+            if (!doc) {
+                return res.status(404).json({ success: false, message: req.t('api.linkInvalido') });
+            }
+
+            const cadastro = doc.data();
+
+            res.json({
+                success: true,
+                protocolo: cadastro.protocolo || protocoloFor(doc.id),
+                status: cadastro.status,
+                statusLabel: req.t(`status.${cadastro.status}`, {}, STATUS[cadastro.status] || cadastro.status),
+                editavel: OPEN_STATUSES.includes(cadastro.status),
+                mensagem: cadastro.ultimaRevisao ? cadastro.ultimaRevisao.nota : null,
+                valores: Object.fromEntries(REVISABLE_FIELDS.map(field => [field, cadastro[field] ?? null])),
+                detalhes: cadastro.detalhes || {},
+                arquivos: (cadastro.arquivos || []).map(a => ({ nome: a.nome, tamanho: a.tamanho }))
+            });
+
+        } catch (error) {
+            console.error('❌ Erro ao carregar cadastro para edição:', error);
+            res.status(500).json({
+                success: false,
+                message: req.t('api.erroCarregar'),
+                error: error.message
+            });
+        }
+    });
+
+    // Edição pelo link privado: registra a revisão e devolve o cadastro à fila de análise
+    router.put('/cadastro/:token', limitByIp, receiveUploads('documentos'), async (req, res) => {
+        try {
+            const doc = await findByToken(req.params.token);
+
+            if (!doc) {
+                return res.status(404).json({ success: false, message: req.t('api.linkInvalido') });
+            }
+
+            const statusAnterior = doc.data().status;
+
+            if (!OPEN_STATUSES.includes(statusAnterior)) {
+                return res.status(409).json({
+                    success: false,
+                    code: 'not_editable',
+                    message: req.t('api.naoEditavel')
+                });
+            }
+
+            const { valid, errors, values } = validateCadastro(req.body, edicaoSchema, req.t);
+
+            if (!valid) {
+                return res.status(422).json({
+                    success: false,
+                    message: req.t('api.camposInvalidos'),
+                    errors
+                });
+            }
+
+            // Os novos dados não podem coincidir com outro cadastro em andamento
+            const chaves = buildChaves(values);
+            if (await findOpenDuplicate(cadastros, chaves, doc.id)) {
+                return res.status(409).json({
+                    success: false,
+                    code: 'duplicate',
+                    message: req.t('api.duplicadoEdicao')
+                });
+            }
+
+            values.idioma = resolveIdioma(req.body.idioma) || req.idioma;
+            values.consultaCnpj = await consultarCnpj(cnpjLookup, values);
+
+            // Volta para a fila de análise, registrando a mudança no histórico
+            const extra = {};
+            if (statusAnterior !== 'pendente') {
+                const mudanca = {
+                    status: 'pendente',
+                    statusAnterior,
+                    nota: 'Cadastro atualizado pelo parceiro',
+                    revisor: null,
+                    data: new Date()
+                };
+                extra.status = 'pendente';
+                extra.historico = [...(doc.data().historico || []), mudanca];
+            }
+
+            await scanUploads(scanner, req.files);
+
+            const { cadastro, revisao, emails } = await applyRevision(doc, values, chaves, req.files, 'edicao', submissionMessages(true), extra);
+            console.log('✏️ Cadastro editado pelo parceiro:', doc.id);
+
+            outbox.deliverLater(emails);
+
+            res.json({
+                success: true,
+                message: req.t('api.cadastroEditado'),
+                protocolo: cadastro.protocolo || protocoloFor(doc.id),
+                campos: Object.keys(revisao.campos),
+                arquivos: revisao.arquivos
+            });
+
+        } catch (error) {
+            console.error('❌ Erro ao editar cadastro:', error);
+            res.status(500).json({
+                success: false,
+                message: req.t('api.erroAtualizar'),
+                error: error.message
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createCadastroRouter };
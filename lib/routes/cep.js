@@ -0,0 +1,54 @@
+/**
+ * Consulta de CEP para o formulário - /api/cep/:cep
+ */
+
+const express = require('express');
+const { FORMATS } = require('../validation');
+const { sendRateLimited } = require('../rate-limit');
+
+function createCepRouter({ cepLookup, rateLimits }) {
+    const router = express.Router();
+
+    function limitByIp(req, res, next) {
+        const { allowed, retryAfter } = rateLimits.cep.hit(req.ip);
+        if (!allowed) {
+            console.warn('🚫 Limite de consultas de CEP por IP atingido:', req.ip);
+            return sendRateLimited(res, retryAfter, req.t);
+        }
+        next();
+    }
+
+    router.get('/cep/:cep', limitByIp, async (req, res) => {
+        const cep = req.params.cep.replace(/\D/g, '');
+
+        if (cep.length !== 8) {
+            return res.status(422).json({
+                success: false,
+                message: req.t('api.camposInvalidos'),
+                errors: { cep: req.t(FORMATS.cep.message) }
+            });
+        }
+
+        try {
+            const endereco = await cepLookup.lookup(cep);
+
+            if (!endereco) {
+                return res.status(404).json({ success: false, message: req.t('api.cepNaoEncontrado') });
+            }
+
+            res.json({ success: true, cep: `${cep.slice(0, 5)}-${cep.slice(5)}`, ...endereco });
+
+        } catch (error) {
+            console.error('❌ Erro ao consultar CEP:', error.message);
+            res.status(502).json({
+                success: false,
+                message: req.t('api.cepIndisponivel'),
+                error: error.message
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createCepRouter };
@@ -0,0 +1,202 @@
+/**
+ * Rascunhos do formulário de cadastro - /api/rascunhos
+ *
+ * O formulário salva o preenchimento no próprio aparelho e, quando o
+ * parceiro pede, também aqui, sob um link privado de retomada (ver
+ * lib/tracking.js) para continuar em outro aparelho. Arquivos não entram
+ * no rascunho. Cada rascunho expira em RASCUNHO_DIAS dias e é apagado
+ * quando o cadastro é enviado.
+ */
+
+const express = require('express');
+const { cadastroSchema } = require('../schema');
+const { CATEGORIAS_SERVICO } = require('../categorias');
+const { FORMATS } = require('../validation');
+const { notifyApplicant } = require('../notifications');
+const { sendRateLimited } = require('../rate-limit');
+const { serializeValue } = require('../serialize');
+
+const RASCUNHO_DIAS = 30;
+
+// Limite de tamanho de cada valor guardado
+const MAX_VALUE_LENGTH = 2000;
+
+// Campos do formulário que entram no rascunho: os comuns (sem o aceite dos
+// termos, que é sempre feito no envio) e os específicos de todas as categorias
+const DRAFT_FIELDS = new Set([
+    ...Object.keys(cadastroSchema).filter(field => field !== 'termos'),
+    ...Object.values(CATEGORIAS_SERVICO).flatMap(categoria => Object.keys(categoria.campos || {}))
+]);
+
+// Apenas os campos conhecidos, como texto e com tamanho limitado
+function sanitizeValores(input) {
+    const valores = {};
+
+    for (const [field, value] of Object.entries(input || {})) {
+        if (DRAFT_FIELDS.has(field) && typeof value === 'string') {
+            valores[field] = value.slice(0, MAX_VALUE_LENGTH);
+        }
+    }
+
+    return valores;
+}
+
+function sanitizeEtapa(etapa) {
+    const numero = Number(etapa);
+    return Number.isInteger(numero) && numero >= 0 && numero < 20 ? numero : 0;
+}
+
+function createRascunhoRouter({ db, outbox, tracking, rateLimits }) {
+    const router = express.Router();
+
+    // Rascunho apontado por um link de retomada válido e ainda não expirado, ou null
+    async function findByToken(token) {
+        const id = tracking.verifyDraft(token);
+        const doc = id ? await db.collection('rascunhos').doc(id).get() : null;
+        if (!doc || !doc.exists) return null;
+
+        // Expirado: apagado no primeiro acesso depois do prazo
+        if (new Date(serializeValue(doc.data().expiraEm)) < new Date()) {
+            await db.collection('rascunhos').doc(id).delete().catch(() => {});
+            return null;
+        }
+
+        return doc;
+    }
+
+    function limitByIp(req, res, next) {
+        const { allowed, retryAfter } = rateLimits.rascunho.hit(req.ip);
+        if (!allowed) {
+            console.warn('🚫 Limite de rascunhos por IP atingido:', req.ip);
+            return sendRateLimited(res, retryAfter, req.t);
+        }
+        next();
+    }
+
+    // Link de retomada por email, quando pedido e com um email válido no rascunho.
+    // O endereço não é confirmado: o email leva só o texto fixo e o link, sem
+    // nada digitado no formulário (nome, empresa), e conta nos limites por
+    // endereço e por IP. O envio sai da fila de emails em segundo plano
+    async function sendResumeEmail(docRef, valores, req) {
+        const email = (valores.email || '').trim().toLowerCase();
+        if (!email || !FORMATS.email.test(email)) return false;
+        if (!rateLimits.rascunhoEmailIp.hit(req.ip).allowed) {
+            console.warn('🚫 Limite de emails de rascunho por IP atingido:', req.ip);
+            return false;
+        }
+        if (!rateLimits.rascunhoEmail.hit(email).allowed) {
+            console.warn('🚫 Limite de emails de rascunho atingido:', email);
+            return false;
+        }
+
+        const id = await notifyApplicant({
+            outbox,
+            origem: { colecao: 'rascunhos', id: docRef.id },
+            cadastro: { email, idioma: req.idioma, diasValidade: RASCUNHO_DIAS },
+            tipo: 'rascunho',
+            resumeUrl: tracking.resumeUrl(docRef.id)
+        });
+
+        return !!id;
+    }
+
+    function resposta(docRef, dados, emailEnviado) {
+        return {
+            success: true,
+            token: tracking.signDraft(docRef.id),
+            resumeUrl: tracking.resumeUrl(docRef.id),
+            expiraEm: serializeValue(dados.expiraEm),
+            emailEnviado
+        };
+    }
+
+    // Cria o rascunho no servidor
+    router.post('/rascunhos', limitByIp, async (req, res) => {
+        try {
+            const agora = new Date();
+            const dados = {
+                valores: sanitizeValores(req.body.valores),
+                etapa: sanitizeEtapa(req.body.etapa),
+                // Idioma da página, usado no email com o link de retomada
+                idioma: req.idioma,
+                criadoEm: agora,
+                atualizadoEm: agora,
+                expiraEm: new Date(agora.getTime() + RASCUNHO_DIAS * 24 * 60 * 60 * 1000)
+            };
+
+            const docRef = db.collection('rascunhos').doc();
+            await docRef.set(dados);
+            console.log('📝 Rascunho salvo:', docRef.id);
+
+            const emailEnviado = req.body.enviarEmail === true && await sendResumeEmail(docRef, dados.valores, req);
+
+            res.status(201).json(resposta(docRef, dados, emailEnviado));
+
+        } catch (error) {
+            console.error('❌ Erro ao salvar rascunho:', error);
+            res.status(500).json({
+                success: false,
+                message: req.t('api.erroSalvarRascunho'),
+                error: error.message
+            });
+        }
+    });
+
+    // Atualiza o rascunho (salvamento automático do formulário)
+    router.put('/rascunhos/:token', limitByIp, async (req, res) => {
+        try {
+            const doc = await findByToken(req.params.token);
+
+            if (!doc) {
+                return res.status(404).json({ success: false, message: req.t('api.rascunhoNaoEncontrado') });
+            }
+
+            const docRef = db.collection('rascunhos').doc(doc.id);
+            const changes = {
+                valores: sanitizeValores(req.body.valores),
+                etapa: sanitizeEtapa(req.body.etapa),
+                idioma: req.idioma,
+                atualizadoEm: new Date()
+            };
+            await docRef.update(changes);
+
+            const emailEnviado = req.body.enviarEmail === true && await sendResumeEmail(docRef, changes.valores, req);
+
+            res.json(resposta(docRef, { ...doc.data(), ...changes }, emailEnviado));
+
+        } catch (error) {
+            console.error('❌ Erro ao atualizar rascunho:', error);
+            res.status(500).json({
+                success: false,
+                message: req.t('api.erroSalvarRascunho'),
+                error: error.message
+            });
+        }
+    });
+
+    // Preenchimento salvo, para o formulário aberto pelo link de retomada
+    router.get('/rascunhos/:token', async (req, res) => {
+        try {
+            const doc = await findByToken(req.params.token);
+
+            if (!doc) {
+                return res.status(404).json({ success: false, message: req.t('api.rascunhoNaoEncontrado') });
+            }
+
+            const { valores, etapa, atualizadoEm, expiraEm } = serializeValue(doc.data());
+            res.json({ success: true, valores, etapa, atualizadoEm, expiraEm });
+
+        } catch (error) {
+            console.error('❌ Erro ao carregar rascunho:', error);
+            res.status(500).json({
+                success: false,
+                message: req.t('api.erroCarregarRascunho'),
+                error: error.message
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createRascunhoRouter, RASCUNHO_DIAS };
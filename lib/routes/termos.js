@@ -0,0 +1,43 @@
+/**
+ * Termos de parceria - /api/termos
+ *
+ * Texto de cada versão publicada em termos/ (ver lib/termos.js), para a
+ * página termos.html e para o formulário, que envia a versão aceita.
+ */
+
+const express = require('express');
+const { describeTermos } = require('../termos');
+
+function createTermosRouter({ termos }) {
+    const router = express.Router();
+
+    // Versão vigente, com a lista das versões publicadas
+    router.get('/termos', (req, res) => {
+        res.json({
+            success: true,
+            ...describeTermos(termos.atual),
+            html: termos.atual.html,
+            versoes: termos.versoes.map(describeTermos)
+        });
+    });
+
+    // Uma versão específica, para consultar o texto aceito anteriormente
+    router.get('/termos/:versao', (req, res) => {
+        const versao = termos.find(req.params.versao);
+
+        if (!versao) {
+            return res.status(404).json({ success: false, message: req.t('api.termosNaoEncontrados') });
+        }
+
+        res.json({
+            success: true,
+            ...describeTermos(versao),
+            html: versao.html,
+            vigente: versao === termos.atual
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createTermosRouter };
@@ -0,0 +1,64 @@
+/**
+ * Verificação de arquivos pelo daemon do ClamAV (clamd)
+ *
+ * Usa o comando INSTREAM do protocolo do clamd: o arquivo é enviado em
+ * blocos prefixados pelo tamanho (4 bytes, big-endian), terminando com
+ * um bloco de tamanho zero. A resposta é `stream: OK` ou
+ * `stream: <assinatura> FOUND`.
+ */
+
+const net = require('net');
+
+const CHUNK_SIZE = 64 * 1024;
+
+function createClamavScanner({ host = '127.0.0.1', port = 3310, timeoutMs = 30000 }) {
+    function instream(buffer) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host, port });
+            const chunks = [];
+
+            socket.setTimeout(timeoutMs, () => {
+                socket.destroy(new Error(`Tempo esgotado aguardando o clamd em ${host}:${port}`));
+            });
+
+            socket.on('connect', () => {
+                socket.write('zINSTREAM\0');
+
+                for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+                    const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+                    const size = Buffer.alloc(4);
+                    size.writeUInt32BE(chunk.length);
+                    socket.write(size);
+                    socket.write(chunk);
+                }
+
+                socket.end(Buffer.alloc(4));
+            });
+
+            socket.on('data', data => chunks.push(data));
+            socket.on('end', () => resolve(Buffer.concat(chunks).toString('utf8').replace(/\0/g, '').trim()));
+            socket.on('error', reject);
+        });
+    }
+
+    return {
+        name: 'clamav',
+
+        async scan(buffer) {
+            const reply = await instream(buffer);
+
+            if (reply.endsWith('OK')) {
+                return { limpo: true, ameaca: null };
+            }
+
+            const found = reply.match(/^stream: (.+) FOUND$/);
+            if (found) {
+                return { limpo: false, ameaca: found[1] };
+            }
+
+            throw new Error(`Resposta inesperada do clamd: ${reply}`);
+        }
+    };
+}
+
+module.exports = { createClamavScanner };
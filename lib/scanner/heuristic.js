@@ -0,0 +1,147 @@
+/**
+ * Verificação por assinaturas e heurísticas, sem serviço externo
+ *
+ * Usada em desenvolvimento, nos testes e quando não há um clamd
+ * disponível. Não substitui um antivírus: procura apenas o arquivo de
+ * teste EICAR, executáveis e conteúdo ativo em PDFs e documentos do Word
+ * (JavaScript, ações de abertura, arquivos embutidos e macros).
+ *
+ * Nos documentos do Word 97-2003 (OLE), as macros são procuradas pelos nomes
+ * das entradas do diretório do arquivo, e não no texto: um documento que só
+ * menciona "Macros" não é suspeito. Um diretório que não pode ser lido é.
+ */
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const OLE_SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+
+// Valores especiais da FAT: acima de MAXREGSECT não apontam para um setor
+const MAXREGSECT = 0xFFFFFFFA;
+const ENDOFCHAIN = 0xFFFFFFFE;
+
+const DIR_ENTRY_SIZE = 128;
+
+// Storages e streams em que o Office guarda o projeto VBA das macros
+const MACRO_ENTRIES = ['_VBA_PROJECT', '_VBA_PROJECT_CUR', 'VBA', 'MACROS'];
+
+const SIGNATURES = [
+    {
+        ameaca: 'Eicar-Test-Signature',
+        matches: buffer => buffer.includes(EICAR)
+    },
+    {
+        ameaca: 'Heuristics.Executable',
+        matches: buffer => buffer.subarray(0, 2).toString('latin1') === 'MZ'
+            || buffer.includes('This program cannot be run in DOS mode')
+            || buffer.subarray(0, 4).equals(Buffer.from([0x7F, 0x45, 0x4C, 0x46]))
+    },
+    {
+        ameaca: 'Heuristics.PDF.JavaScript',
+        matches: buffer => isPdf(buffer) && /\/(JavaScript|JS)\b/.test(buffer.toString('latin1'))
+    },
+    {
+        ameaca: 'Heuristics.PDF.Launch',
+        matches: buffer => isPdf(buffer) && /\/Launch\b/.test(buffer.toString('latin1'))
+    },
+    {
+        ameaca: 'Heuristics.PDF.EmbeddedFile',
+        matches: buffer => isPdf(buffer) && /\/EmbeddedFiles?\b/.test(buffer.toString('latin1'))
+    },
+    {
+        ameaca: 'Heuristics.Office.Macro',
+        matches: buffer => buffer.includes('vbaProject.bin') || hasOleMacros(buffer)
+    },
+    {
+        ameaca: 'Heuristics.Office.Malformed',
+        matches: buffer => isOle(buffer) && !oleEntryNames(buffer)
+    }
+];
+
+function isPdf(buffer) {
+    return buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+function isOle(buffer) {
+    return buffer.subarray(0, 8).equals(OLE_SIGNATURE);
+}
+
+/**
+ * Nomes das entradas do diretório de um documento OLE (Compound File
+ * Binary), seguindo a cadeia de setores do diretório pela FAT.
+ * Null quando a estrutura não pôde ser lida
+ */
+function oleEntryNames(buffer) {
+    if (buffer.length < 512) return null;
+
+    const sectorSize = 2 ** buffer.readUInt16LE(0x1E);
+    if (sectorSize !== 512 && sectorSize !== 4096) return null;
+
+    const totalSectors = Math.floor(buffer.length / sectorSize);
+    const sector = id => {
+        const inicio = (id + 1) * sectorSize;
+        return inicio + sectorSize <= buffer.length ? buffer.subarray(inicio, inicio + sectorSize) : null;
+    };
+
+    // Setores da FAT: os 109 primeiros ficam no cabeçalho, os demais na cadeia DIFAT
+    const fatSectors = [];
+    for (let i = 0; i < 109; i++) {
+        fatSectors.push(buffer.readUInt32LE(0x4C + i * 4));
+    }
+    let difat = buffer.readUInt32LE(0x44);
+    for (let n = Math.min(buffer.readUInt32LE(0x48), totalSectors); n > 0 && difat <= MAXREGSECT; n--) {
+        const dados = sector(difat);
+        if (!dados) return null;
+        for (let i = 0; i < sectorSize / 4 - 1; i++) {
+            fatSectors.push(dados.readUInt32LE(i * 4));
+        }
+        difat = dados.readUInt32LE(sectorSize - 4);
+    }
+    const fat = fatSectors.filter(id => id <= MAXREGSECT).slice(0, buffer.readUInt32LE(0x2C));
+
+    // Próximo setor da cadeia, ou null fora da FAT
+    const porSetor = sectorSize / 4;
+    const next = id => {
+        const fatSector = fat[Math.floor(id / porSetor)];
+        const dados = fatSector === undefined ? null : sector(fatSector);
+        return dados ? dados.readUInt32LE((id % porSetor) * 4) : null;
+    };
+
+    const nomes = [];
+    const visitados = new Set();
+    for (let id = buffer.readUInt32LE(0x30); id !== ENDOFCHAIN; id = next(id)) {
+        if (id === null || id > MAXREGSECT || visitados.has(id)) return null;
+        visitados.add(id);
+
+        const dados = sector(id);
+        if (!dados) return null;
+
+        for (let offset = 0; offset < sectorSize; offset += DIR_ENTRY_SIZE) {
+            // Tamanho do nome em bytes, com o terminador; tipo 0 é entrada livre
+            const tamanho = dados.readUInt16LE(offset + 0x40);
+            if (dados[offset + 0x42] === 0 || tamanho < 2 || tamanho > 64) continue;
+            nomes.push(dados.subarray(offset, offset + tamanho - 2).toString('utf16le'));
+        }
+    }
+
+    return nomes;
+}
+
+function hasOleMacros(buffer) {
+    const nomes = isOle(buffer) ? oleEntryNames(buffer) : null;
+    return !!nomes && nomes.some(nome => MACRO_ENTRIES.includes(nome.toUpperCase()));
+}
+
+function createHeuristicScanner() {
+    return {
+        name: 'heuristic',
+
+        async scan(buffer) {
+            const found = SIGNATURES.find(signature => signature.matches(buffer));
+            return found
+                ? { limpo: false, ameaca: found.ameaca }
+                : { limpo: true, ameaca: null };
+        }
+    };
+}
+
+module.exports = { createHeuristicScanner, EICAR };
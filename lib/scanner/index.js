@@ -0,0 +1,87 @@
+/**
+ * Verificação dos documentos enviados no cadastro
+ *
+ * Todo scanner expõe a mesma interface:
+ *   name         - identificação gravada junto ao resultado
+ *   scan(buffer) - resolve { limpo, ameaca } (ameaca é o nome da assinatura)
+ *
+ * O scanner é escolhido por SCANNER_DRIVER ('clamav' ou 'heuristic'). Sem
+ * essa variável, usa o clamd quando CLAMAV_HOST está definido e a
+ * verificação heurística local nos demais casos.
+ *
+ * Antes do scanner, cada arquivo passa por uma verificação de integridade
+ * (arquivos truncados ou corrompidos). Arquivos suspeitos, ou que não
+ * puderam ser verificados, vão para a quarentena.
+ */
+
+const { createClamavScanner } = require('./clamav');
+const { createHeuristicScanner } = require('./heuristic');
+
+function createScanner(env = process.env) {
+    const driver = env.SCANNER_DRIVER || (env.CLAMAV_HOST ? 'clamav' : 'heuristic');
+
+    switch (driver) {
+        case 'clamav':
+            return createClamavScanner({
+                host: env.CLAMAV_HOST,
+                port: Number(env.CLAMAV_PORT) || 3310
+            });
+        case 'heuristic':
+            return createHeuristicScanner();
+        default:
+            throw new Error(`SCANNER_DRIVER desconhecido: ${driver}`);
+    }
+}
+
+// Marcadores de fim de arquivo procurados no final de cada formato
+const END_MARKERS = {
+    'application/pdf': { marker: Buffer.from('%%EOF'), tail: 1024 },
+    'image/png': { marker: Buffer.from('IEND'), tail: 32 },
+    'image/jpeg': { marker: Buffer.from([0xFF, 0xD9]), tail: 1024 }
+};
+
+// Nome da falha de integridade encontrada, ou null
+function checkIntegrity(buffer, mimetype) {
+    if (buffer.length === 0) return 'Integridade.ArquivoVazio';
+
+    const end = END_MARKERS[mimetype];
+    if (end && !buffer.subarray(-end.tail).includes(end.marker)) {
+        return 'Integridade.ArquivoIncompleto';
+    }
+
+    return null;
+}
+
+/**
+ * Verifica os arquivos recebidos pelo multer e grava o resultado em
+ * `file.verificacao` ({ scanner, limpo, ameaca, erro, data }).
+ * Uma falha do scanner não interrompe o cadastro: o arquivo fica em quarentena.
+ */
+async function scanUploads(scanner, files = []) {
+    for (const file of files) {
+        const verificacao = { scanner: scanner.name, limpo: false, ameaca: null, data: new Date() };
+
+        try {
+            const falha = checkIntegrity(file.buffer, file.mimetype);
+            Object.assign(verificacao, falha ? { ameaca: falha } : await scanner.scan(file.buffer));
+        } catch (error) {
+            verificacao.erro = error.message;
+            console.error(`❌ Erro ao verificar ${file.originalname}:`, error.message);
+        }
+
+        if (!verificacao.limpo) {
+            console.warn(`☣️ Arquivo em quarentena: ${file.originalname} (${verificacao.ameaca || verificacao.erro})`);
+        }
+
+        file.verificacao = verificacao;
+    }
+
+    return files;
+}
+
+// Arquivo que não passou na verificação
+function isQuarantined(file) {
+    return !!file.verificacao && !file.verificacao.limpo;
+}
+
+module.exports = { createScanner, scanUploads, checkIntegrity, isQuarantined };
@@ -0,0 +1,70 @@
+/**
+ * Schema do formulário de cadastro de parceiros (prestadorForm)
+ */
+
+const { validate } = require('./validation');
+const { createTranslator } = require('./i18n');
+const { CATEGORIAS, CATEGORIAS_SERVICO, camposSchema } = require('./categorias');
+const { REGIOES_IDS } = require('./regioes');
+
+const cadastroSchema = {
+    nomeEmpresa: { required: true, minLength: 2, maxLength: 120 },
+    categoria: { required: true, enum: CATEGORIAS },
+    documento: { format: 'cpfCnpj' },
+    cadastur: { maxLength: 30, format: 'cadastur' },
+    descricao: { required: true, minLength: 10, maxLength: 2000 },
+    nomeResponsavel: { required: true, minLength: 3, maxLength: 120 },
+    email: { required: true, maxLength: 254, format: 'email' },
+    whatsapp: { required: true, format: 'whatsapp' },
+    cep: { format: 'cep' },
+    endereco: { required: true, minLength: 3, maxLength: 300 },
+    bairro: { required: true, minLength: 2, maxLength: 120 },
+    regiao: { required: true, enum: REGIOES_IDS },
+    pontoReferencia: { maxLength: 200 },
+    // Ponto marcado no mapa do formulário (opcional, mas sempre em par)
+    latitude: { type: 'number', min: -90, max: 90 },
+    longitude: { type: 'number', min: -180, max: 180 },
+    capacidade: { required: true, maxLength: 500 },
+    redesSociais: { maxLength: 300 },
+    diferencial: { required: true, minLength: 10, maxLength: 2000 },
+    termos: { type: 'checkbox', required: true, requiredMessage: 'validacao.termos' }
+};
+
+// Documentos exigidos pela categoria: CPF/CNPJ e/ou CADASTUR obrigatório
+function schemaForCategoria(schema, categoria) {
+    const { exige = [] } = CATEGORIAS_SERVICO[categoria] || {};
+    const ajustado = { ...schema };
+
+    if (exige.includes('documento') && ajustado.documento) {
+        ajustado.documento = { ...ajustado.documento, required: true };
+    }
+    if (exige.includes('cadastur') && ajustado.cadastur) {
+        ajustado.cadastur = { ...ajustado.cadastur, required: true, requiredMessage: 'validacao.cadasturCategoria' };
+    }
+
+    return ajustado;
+}
+
+/**
+ * Valida os campos comuns e os específicos da categoria escolhida
+ * (ver lib/categorias.js). Os específicos voltam em `values.detalhes`.
+ * As mensagens saem no idioma do tradutor `t` (ver lib/i18n)
+ */
+function validateCadastro(input, schema = cadastroSchema, t = createTranslator()) {
+    const comuns = validate(schemaForCategoria(schema, String(input.categoria || '').trim()), input, t);
+    const especificos = validate(camposSchema(comuns.values.categoria), input, t);
+
+    const { latitude, longitude } = comuns.values;
+    if ((latitude === null) !== (longitude === null) && !comuns.errors.latitude && !comuns.errors.longitude) {
+        comuns.valid = false;
+        comuns.errors[latitude === null ? 'latitude' : 'longitude'] = t('validacao.localMapa');
+    }
+
+    return {
+        valid: comuns.valid && especificos.valid,
+        errors: { ...comuns.errors, ...especificos.errors },
+        values: { ...comuns.values, detalhes: especificos.values }
+    };
+}
+
+module.exports = { CATEGORIAS, cadastroSchema, validateCadastro };
@@ -0,0 +1,83 @@
+/**
+ * Dados de exemplo para o banco local e o emulador do Firestore
+ *
+ * Os cadastros de seed/cadastros.json passam pela mesma validação do
+ * formulário e são gravados como o envio os grava (chaves, protocolo e
+ * aceite dos termos vigentes), com o status e a nota de revisão indicados.
+ * Os IDs são fixos: carregar de novo sobrescreve os mesmos documentos.
+ */
+
+const path = require('path');
+const { validateCadastro } = require('./schema');
+const { buildChaves } = require('./duplicates');
+const { protocoloFor } = require('./tracking');
+const { comAceite } = require('./termos');
+
+const SEED_FILE = path.join(__dirname, '..', 'seed', 'cadastros.json');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Revisor registrado nas mudanças de status de exemplo
+const REVISOR_SEED = 'seed@paratygo.local';
+
+function buildSeedCadastro(seed, termos, now) {
+    const { valid, errors, values } = validateCadastro({ ...seed.valores, termos: 'on' });
+    if (!valid) {
+        throw new Error(`Cadastro de exemplo ${seed.id} inválido: ${Object.keys(errors).join(', ')}`);
+    }
+
+    const dataEnvio = new Date(now.getTime() - (seed.diasAtras || 0) * DIA_MS);
+    const aceite = {
+        versao: termos.atual.versao,
+        hash: termos.atual.hash,
+        aceitoEm: dataEnvio,
+        ip: null,
+        userAgent: 'seed'
+    };
+
+    const cadastro = {
+        ...values,
+        ...comAceite({}, aceite),
+        idioma: seed.idioma || 'pt-BR',
+        consultaCnpj: null,
+        protocolo: protocoloFor(seed.id),
+        chaves: buildChaves(values),
+        arquivos: [],
+        quarentena: false,
+        dataEnvio,
+        status: 'pendente'
+    };
+
+    if (seed.status && seed.status !== 'pendente') {
+        const revisao = {
+            status: seed.status,
+            statusAnterior: 'pendente',
+            nota: seed.nota || '',
+            revisor: REVISOR_SEED,
+            data: new Date(dataEnvio.getTime() + DIA_MS)
+        };
+        cadastro.status = seed.status;
+        cadastro.ultimaRevisao = revisao;
+        cadastro.historico = [revisao];
+    }
+
+    return cadastro;
+}
+
+/**
+ * Grava os cadastros de exemplo num único batch.
+ * Retorna [{ id, nomeEmpresa, status }] dos cadastros gravados
+ */
+async function seedDatabase({ db, cadastros, termos, seeds = require(SEED_FILE), now = new Date() }) {
+    const batch = db.batch();
+    const gravados = seeds.map(seed => {
+        const cadastro = buildSeedCadastro(seed, termos, now);
+        cadastros.create(batch, seed.id, cadastro);
+        return { id: seed.id, nomeEmpresa: cadastro.nomeEmpresa, status: cadastro.status };
+    });
+    await batch.commit();
+
+    return gravados;
+}
+
+module.exports = { seedDatabase, buildSeedCadastro, SEED_FILE };
@@ -0,0 +1,26 @@
+/**
+ * Conversão de documentos do Firestore para respostas JSON
+ */
+
+// Converte Timestamps do Firestore em ISO strings para a resposta JSON
+function serializeValue(value) {
+    if (value && typeof value.toDate === 'function') {
+        return value.toDate().toISOString();
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(serializeValue);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, serializeValue(v)]));
+    }
+    return value;
+}
+
+function serializeDoc(doc) {
+    return { id: doc.id, ...serializeValue(doc.data()) };
+}
+
+module.exports = { serializeValue, serializeDoc };
@@ -0,0 +1,19 @@
+/**
+ * Status do fluxo de análise de um cadastro
+ */
+
+const STATUS = {
+    pendente: 'Pendente',
+    em_analise: 'Em análise',
+    aprovado: 'Aprovado',
+    rejeitado: 'Rejeitado',
+    pendente_documentos: 'Pendente de documentos'
+};
+
+// Status que um revisor pode atribuir pelo painel
+const REVIEW_STATUSES = ['em_analise', 'aprovado', 'rejeitado', 'pendente_documentos'];
+
+// Status de um cadastro ainda em andamento (não finalizado pela revisão)
+const OPEN_STATUSES = ['pendente', 'em_analise', 'pendente_documentos'];
+
+module.exports = { STATUS, REVIEW_STATUSES, OPEN_STATUSES };
@@ -0,0 +1,30 @@
+/**
+ * Armazenamento de arquivos no Firebase Storage (Cloud Storage)
+ */
+
+const { admin, getFirebaseApp } = require('../firebase');
+
+function createFirebaseStorage({ bucket }) {
+    const getBucket = () => {
+        getFirebaseApp();
+        return admin.storage().bucket(bucket);
+    };
+
+    return {
+        driver: 'firebase',
+
+        async save(storagePath, buffer, { contentType } = {}) {
+            await getBucket().file(storagePath).save(buffer, {
+                contentType,
+                resumable: false
+            });
+        },
+
+        async read(storagePath) {
+            const [buffer] = await getBucket().file(storagePath).download();
+            return buffer;
+        }
+    };
+}
+
+module.exports = { createFirebaseStorage };
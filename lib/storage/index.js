@@ -0,0 +1,146 @@
+/**
+ * Armazenamento dos documentos enviados no cadastro
+ *
+ * Todo driver expõe a mesma interface:
+ *   save(caminho, buffer, { contentType }) - grava o arquivo
+ *   read(caminho)                          - retorna o conteúdo em Buffer
+ *
+ * O driver é escolhido por STORAGE_DRIVER ('firebase' ou 'local'). Sem essa
+ * variável, usa o Firebase Storage quando FIREBASE_STORAGE_BUCKET está
+ * definido e o disco local (UPLOADS_DIR, padrão ./.data/uploads) nos demais
+ * casos. A pasta padrão começa com ponto para não ser exposta pelo
+ * express.static do servidor local. Na Vercel o disco é somente leitura e
+ * não persiste: lá o driver local não é aceito e o bucket é obrigatório.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createLocalStorage } = require('./local');
+const { createFirebaseStorage } = require('./firebase');
+const { isQuarantined } = require('../scanner');
+const { createImageVersions, stripMetadata, isImage } = require('../images');
+
+function createStorage(env = process.env) {
+    const driver = env.STORAGE_DRIVER || (env.FIREBASE_STORAGE_BUCKET ? 'firebase' : 'local');
+
+    switch (driver) {
+        case 'firebase':
+            return createFirebaseStorage({ bucket: env.FIREBASE_STORAGE_BUCKET });
+        case 'local':
+            if (env.VERCEL) {
+                throw new Error('FIREBASE_STORAGE_BUCKET não configurado - obrigatório na Vercel, onde o disco local não guarda os documentos');
+            }
+            return createLocalStorage({
+                root: env.UPLOADS_DIR || path.join(__dirname, '..', '..', '.data', 'uploads')
+            });
+        default:
+            throw new Error(`STORAGE_DRIVER desconhecido: ${driver}`);
+    }
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Nome seguro para compor o caminho no armazenamento
+function safeFileName(name) {
+    const cleaned = path.basename(name)
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\w.-]+/g, '_');
+    return cleaned || 'arquivo';
+}
+
+/**
+ * Grava os arquivos do multer sob o ID do cadastro e retorna
+ * os metadados que ficam salvos no campo `arquivos`.
+ * `existing` é a quantidade de arquivos já salvos no cadastro, para que
+ * novos envios não sobrescrevam os anteriores. Arquivos reprovados na
+ * verificação (ver lib/scanner) ficam separados, sob quarentena/.
+ * Fotos são gravadas sem os metadados (EXIF, GPS), ou vão para a
+ * quarentena quando não puderam ser limpas, e ganham as versões de
+ * lib/images.js, gravadas ao lado do original e também deixadas em
+ * `file.versoes` para o email da equipe.
+ */
+async function storeUploads(storage, cadastroId, files = [], existing = 0) {
+    const arquivos = [];
+
+    for (const [index, file] of files.entries()) {
+        if (!isQuarantined(file) && isImage(file.mimetype)) {
+            await removeImageMetadata(file);
+        }
+
+        const quarentena = isQuarantined(file);
+        const pasta = quarentena ? 'quarentena' : 'cadastros';
+        const caminho = `${pasta}/${cadastroId}/${existing + index + 1}-${safeFileName(file.originalname)}`;
+
+        await storage.save(caminho, file.buffer, { contentType: file.mimetype });
+
+        const arquivo = {
+            nome: file.originalname,
+            tamanho: file.size,
+            tipo: file.mimetype,
+            sha256: sha256(file.buffer),
+            caminho
+        };
+
+        if (file.verificacao) {
+            arquivo.verificacao = file.verificacao;
+            arquivo.quarentena = quarentena;
+        }
+
+        if (!quarentena && isImage(file.mimetype)) {
+            arquivo.versoes = await storeImageVersions(storage, caminho, file);
+        }
+
+        arquivos.push(arquivo);
+    }
+
+    return arquivos;
+}
+
+// Troca o conteúdo da foto pelo original sem metadados. Uma foto que não
+// pôde ser limpa nunca segue como foi enviada: fica em quarentena, fora do
+// email da equipe
+async function removeImageMetadata(file) {
+    try {
+        file.buffer = await stripMetadata(file.buffer, file.mimetype);
+        file.size = file.buffer.length;
+    } catch (error) {
+        console.error(`❌ Erro ao remover os metadados da imagem ${file.originalname}:`, error.message);
+        file.verificacao = {
+            ...(file.verificacao || { scanner: 'sharp', data: new Date() }),
+            limpo: false,
+            ameaca: 'Imagem.MetadadosNaoRemovidos',
+            erro: error.message
+        };
+    }
+}
+
+// Grava a miniatura e a versão web de uma foto; uma falha mantém só o original
+async function storeImageVersions(storage, caminhoOriginal, file) {
+    try {
+        file.versoes = await createImageVersions(file.buffer);
+    } catch (error) {
+        console.error(`❌ Erro ao processar a imagem ${file.originalname}:`, error.message);
+        return null;
+    }
+
+    const versoes = {};
+    for (const [nome, versao] of Object.entries(file.versoes)) {
+        const caminho = `${caminhoOriginal}.${nome}.webp`;
+        await storage.save(caminho, versao.buffer, { contentType: 'image/webp' });
+
+        versoes[nome] = {
+            caminho,
+            tipo: 'image/webp',
+            largura: versao.largura,
+            altura: versao.altura,
+            tamanho: versao.tamanho,
+            sha256: sha256(versao.buffer)
+        };
+    }
+
+    return versoes;
+}
+
+module.exports = { createStorage, storeUploads, safeFileName, sha256 };
@@ -0,0 +1,33 @@
+/**
+ * Armazenamento de arquivos em disco local (desenvolvimento e testes)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+function createLocalStorage({ root }) {
+    // Impede que um caminho salvo escape da pasta raiz
+    function resolve(storagePath) {
+        const fullPath = path.resolve(root, storagePath);
+        if (!fullPath.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error(`Caminho de armazenamento inválido: ${storagePath}`);
+        }
+        return fullPath;
+    }
+
+    return {
+        driver: 'local',
+
+        async save(storagePath, buffer) {
+            const fullPath = resolve(storagePath);
+            await fs.mkdir(path.dirname(fullPath), { recursive: true });
+            await fs.writeFile(fullPath, buffer);
+        },
+
+        async read(storagePath) {
+            return fs.readFile(resolve(storagePath));
+        }
+    };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,79 @@
+/**
+ * Termos de parceria versionados
+ *
+ * Cada versão é um arquivo `termos/<AAAA-MM-DD>.html` (fragmento HTML em
+ * pt-BR, o texto que vale para o aceite), e a data do nome é a data de
+ * publicação. A versão mais recente é a vigente: publicar novos termos é
+ * só adicionar o arquivo. Um arquivo publicado não deve ser alterado; o
+ * hash SHA-256 do conteúdo é guardado com o aceite de cada cadastro para
+ * provar qual texto o parceiro aceitou.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sha256 } = require('./storage');
+
+const TERMOS_DIR = path.join(__dirname, '..', 'termos');
+
+const VERSAO_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Limite do user agent guardado com o aceite
+const MAX_USER_AGENT_LENGTH = 300;
+
+function createTermos({ dir = TERMOS_DIR } = {}) {
+    const versoes = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.html') && VERSAO_PATTERN.test(path.basename(file, '.html')))
+        .sort()
+        .map(file => {
+            const html = fs.readFileSync(path.join(dir, file), 'utf8');
+            const versao = path.basename(file, '.html');
+            return {
+                versao,
+                hash: sha256(html),
+                publicadoEm: `${versao}T00:00:00.000-03:00`,
+                html
+            };
+        });
+
+    if (versoes.length === 0) {
+        throw new Error(`Nenhuma versão dos termos em ${dir}`);
+    }
+
+    const atual = versoes[versoes.length - 1];
+
+    return {
+        versoes,
+        atual,
+        find: versao => versoes.find(t => t.versao === versao) || null,
+        // O aceite precisa ser refeito quando o cadastro não tem registro ou
+        // aceitou um texto diferente do vigente
+        pendente: cadastro => !cadastro.aceiteTermos || cadastro.aceiteTermos.hash !== atual.hash
+    };
+}
+
+// Registro do aceite da versão vigente, com a origem da requisição
+function registroAceite(termos, req) {
+    return {
+        versao: termos.atual.versao,
+        hash: termos.atual.hash,
+        aceitoEm: new Date(),
+        ip: req.ip || null,
+        userAgent: String(req.get('user-agent') || '').slice(0, MAX_USER_AGENT_LENGTH) || null
+    };
+}
+
+// Campos do cadastro com o novo aceite: o último e o histórico de todos
+function comAceite(cadastro, aceite) {
+    return {
+        aceiteTermos: aceite,
+        historicoTermos: [...(cadastro.historicoTermos || []), aceite]
+    };
+}
+
+// Dados públicos de uma versão
+function describeTermos(termos) {
+    const { versao, hash, publicadoEm } = termos;
+    return { versao, hash, publicadoEm };
+}
+
+module.exports = { TERMOS_DIR, createTermos, registroAceite, comAceite, describeTermos };
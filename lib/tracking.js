@@ -0,0 +1,89 @@
+/**
+ * Links privados de acompanhamento do cadastro
+ *
+ * O token é o ID do cadastro assinado com HMAC-SHA256 (TRACKING_SECRET),
+ * no formato `<id>.<assinatura>`. Quem tem o link vê o andamento do
+ * cadastro e pode editá-lo enquanto estiver em análise, sem precisar de
+ * login; sem a chave não é possível forjá-lo.
+ *
+ * Os rascunhos do formulário usam links próprios, assinados com o prefixo
+ * `rascunho:`: o link de um rascunho não abre um cadastro e vice-versa.
+ */
+
+const crypto = require('crypto');
+const { isProduction } = require('./environment');
+
+// Número de protocolo exibido ao parceiro, derivado do ID do cadastro
+function protocoloFor(id) {
+    return `PGO-${id.slice(0, 8).toUpperCase()}`;
+}
+
+function createTracking({ secret, baseUrl }) {
+    if (!secret) {
+        // Cada instância teria a própria chave: os links enviados por email deixariam de valer
+        if (isProduction()) {
+            throw new Error('TRACKING_SECRET não configurado - obrigatório em produção para os links de acompanhamento');
+        }
+
+        // Sem chave configurada os links deixam de valer quando o servidor reinicia
+        console.warn('⚠️ TRACKING_SECRET não configurado - usando chave temporária para os links de acompanhamento');
+        secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    function signature(id) {
+        return crypto.createHmac('sha256', secret).update(id).digest('base64url');
+    }
+
+    // ID assinado com o prefixo informado quando o token é válido, ou null.
+    // Só o formato exato `<id>.<assinatura>`, sem trechos a mais
+    function verifyWith(token, prefix) {
+        const partes = String(token || '').split('.');
+        if (partes.length !== 2) return null;
+
+        const [id, sig] = partes;
+        if (!id || !sig) return null;
+
+        const expected = Buffer.from(signature(prefix + id));
+        const received = Buffer.from(sig);
+
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+            ? id
+            : null;
+    }
+
+    return {
+        sign(id) {
+            return `${id}.${signature(id)}`;
+        },
+
+        // Retorna o ID do cadastro quando o token é válido, ou null
+        verify(token) {
+            return verifyWith(token, '');
+        },
+
+        signDraft(id) {
+            return `${id}.${signature(`rascunho:${id}`)}`;
+        },
+
+        // Retorna o ID do rascunho quando o token é válido, ou null
+        verifyDraft(token) {
+            return verifyWith(token, 'rascunho:');
+        },
+
+        statusUrl(id) {
+            return `${baseUrl}/status.html?token=${encodeURIComponent(this.sign(id))}`;
+        },
+
+        // Formulário da página inicial pré-preenchido com os dados do cadastro
+        editUrl(id) {
+            return `${baseUrl}/index.html?editar=${encodeURIComponent(this.sign(id))}#formulario`;
+        },
+
+        // Formulário preenchido com o rascunho salvo, para continuar o cadastro
+        resumeUrl(id) {
+            return `${baseUrl}/index.html?rascunho=${encodeURIComponent(this.signDraft(id))}#formulario`;
+        }
+    };
+}
+
+module.exports = { createTracking, protocoloFor };
@@ -0,0 +1,183 @@
+/**
+ * Política de upload de documentos
+ *
+ * Tipos aceitos, tamanho e quantidade máximos ficam definidos só aqui:
+ * o servidor aplica a política e /api/config a entrega ao formulário,
+ * que confere os arquivos antes do envio. O tipo real de cada arquivo é
+ * identificado pelo conteúdo (assinatura no início do arquivo), e não
+ * pelo `mimetype` informado pelo navegador.
+ */
+
+const path = require('path');
+const multer = require('multer');
+const { createTranslator } = require('./i18n');
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB max
+const MAX_FILES = 10;
+
+// Confere se o buffer começa com os bytes informados, a partir de `offset`
+function startsWith(buffer, bytes, offset = 0) {
+    return buffer.length >= offset + bytes.length
+        && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+const ascii = text => [...Buffer.from(text, 'latin1')];
+
+const FILE_TYPES = [
+    {
+        label: 'PDF',
+        mime: 'application/pdf',
+        extensions: ['.pdf'],
+        matches: buffer => startsWith(buffer, ascii('%PDF-'))
+    },
+    {
+        label: 'JPG',
+        mime: 'image/jpeg',
+        extensions: ['.jpg', '.jpeg'],
+        matches: buffer => startsWith(buffer, [0xFF, 0xD8, 0xFF])
+    },
+    {
+        label: 'PNG',
+        mime: 'image/png',
+        extensions: ['.png'],
+        matches: buffer => startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])
+    },
+    {
+        label: 'GIF',
+        mime: 'image/gif',
+        extensions: ['.gif'],
+        matches: buffer => startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))
+    },
+    {
+        label: 'WebP',
+        mime: 'image/webp',
+        extensions: ['.webp'],
+        matches: buffer => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)
+    },
+    {
+        label: 'DOC',
+        mime: 'application/msword',
+        extensions: ['.doc'],
+        // Documento OLE (Word 97-2003)
+        matches: buffer => startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])
+    },
+    {
+        label: 'DOCX',
+        mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        extensions: ['.docx'],
+        // Pacote ZIP com a pasta word/ do Office Open XML
+        matches: buffer => startsWith(buffer, ascii('PK\x03\x04')) && buffer.includes('word/')
+    }
+];
+
+const ALLOWED_TYPES = FILE_TYPES.map(type => type.mime);
+
+const TYPE_LABELS = FILE_TYPES.map(type => type.label);
+
+// Motivos de recusa ('type', 'size', 'count', 'content', 'field') no idioma do tradutor:
+// "PDF, JPG ou PNG" / "PDF, JPG or PNG"
+function uploadMessages(t = createTranslator()) {
+    const params = {
+        tipos: new Intl.ListFormat(t.idioma, { type: 'disjunction' }).format(TYPE_LABELS),
+        tamanho: MAX_FILE_SIZE / 1024 / 1024,
+        quantidade: MAX_FILES
+    };
+
+    return Object.fromEntries(['type', 'size', 'count', 'content', 'field'].map(key => [key, t(`upload.${key}`, params)]));
+}
+
+// Política pública, entregue ao formulário em /api/config com `messages`
+// no idioma da página (ver uploadMessages)
+const uploadPolicy = {
+    maxFileSize: MAX_FILE_SIZE,
+    maxFiles: MAX_FILES,
+    accept: FILE_TYPES.flatMap(type => type.extensions).join(','),
+    types: FILE_TYPES.map(({ label, mime, extensions }) => ({ label, mime, extensions }))
+};
+
+function typeForName(name) {
+    const extension = path.extname(name || '').toLowerCase();
+    return FILE_TYPES.find(type => type.extensions.includes(extension)) || null;
+}
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+    fileFilter: (req, file, cb) => {
+        // O Multer 1.x lê o nome do arquivo como latin1; nomes com acento chegam corrompidos
+        file.originalname = Buffer.from(file.originalname, 'latin1').toString('utf8');
+
+        // Arquivos recusados não interrompem o envio: são listados na resposta
+        if (typeForName(file.originalname)) {
+            // O erro de tamanho do Multer não informa o arquivo; é sempre o último aceito
+            req.lastUploadName = file.originalname;
+            cb(null, true);
+        } else {
+            req.rejectedFiles = [...(req.rejectedFiles || []), { nome: file.originalname, erro: 'type' }];
+            cb(null, false);
+        }
+    }
+});
+
+// Erros do Multer que interrompem a leitura do formulário
+const MULTER_MESSAGES = {
+    LIMIT_FILE_SIZE: 'size',
+    LIMIT_FILE_COUNT: 'count',
+    // Arquivo enviado num campo diferente do esperado
+    LIMIT_UNEXPECTED_FILE: 'field'
+};
+
+/**
+ * Recebe os arquivos do campo informado e aplica a política de upload.
+ * Qualquer arquivo recusado responde 422 com o motivo de cada um em
+ * `arquivos` e o resumo em `errors[field]`, no idioma da requisição.
+ * Um corpo multipart que não pôde ser lido segue com status 400 para o
+ * tratamento de erros da aplicação (ver lib/app.js).
+ */
+function receiveUploads(field) {
+    const handler = upload.array(field, MAX_FILES);
+
+    return (req, res, next) => {
+        handler(req, res, error => {
+            if (error && !MULTER_MESSAGES[error.code]) {
+                error.status = error.status || 400;
+                return next(error);
+            }
+
+            const t = req.t || createTranslator();
+            const messages = uploadMessages(t);
+            const rejeitados = (req.rejectedFiles || []).map(r => ({ ...r, erro: messages[r.erro] }));
+
+            if (error) {
+                rejeitados.push({
+                    nome: error.code === 'LIMIT_FILE_SIZE' ? req.lastUploadName : null,
+                    erro: messages[MULTER_MESSAGES[error.code]]
+                });
+            }
+
+            // Confere o conteúdo de cada arquivo com o tipo da extensão
+            for (const file of req.files || []) {
+                const type = typeForName(file.originalname);
+                if (!type.matches(file.buffer)) {
+                    rejeitados.push({ nome: file.originalname, erro: messages.content });
+                } else {
+                    file.mimetype = type.mime;
+                }
+            }
+
+            if (rejeitados.length > 0) {
+                console.warn('🚫 Arquivos recusados:', rejeitados);
+                return res.status(422).json({
+                    success: false,
+                    message: t('api.arquivosRecusados'),
+                    errors: { [field]: rejeitados.map(r => r.nome ? `${r.nome}: ${r.erro}` : r.erro).join(' ') },
+                    arquivos: rejeitados
+                });
+            }
+
+            next();
+        });
+    };
+}
+
+module.exports = { upload, receiveUploads, uploadPolicy, uploadMessages, MAX_FILE_SIZE, MAX_FILES, ALLOWED_TYPES };
@@ -0,0 +1,143 @@
+/**
+ * Validação declarativa de dados de formulário
+ *
+ * Cada campo do schema aceita as regras:
+ *   type      - 'string' (padrão), 'checkbox' ou 'number'
+ *   required  - campo obrigatório
+ *   requiredMessage - chave da mensagem quando o campo obrigatório falta
+ *   formatMessage   - chave da mensagem quando o formato não confere
+ *   minLength / maxLength - limites de tamanho (após trim)
+ *   format    - nome de um formato em FORMATS ('email', 'whatsapp', 'cpfCnpj'...)
+ *   enum      - lista de valores aceitos
+ *   integer   - apenas números inteiros (type 'number')
+ *   min / max - limites do valor (type 'number')
+ *
+ * Outras chaves (label, placeholder...) são ignoradas, para que o mesmo
+ * objeto possa descrever o campo na tela.
+ *
+ * As mensagens são chaves do catálogo `validacao` (ver lib/i18n), traduzidas
+ * pelo `t` recebido em validate() - o da requisição, com o idioma do parceiro.
+ */
+
+const { createTranslator } = require('./i18n');
+const { isValidCpf, isValidCnpj, isValidCadastur, formatDocumento } = require('./documentos');
+
+// Formatos com `normalize` gravam o valor já padronizado (ex.: CPF com pontuação)
+const FORMATS = {
+    email: {
+        test: value => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value),
+        message: 'validacao.email'
+    },
+    whatsapp: {
+        // DDD + número fixo (10 dígitos) ou celular (11 dígitos)
+        test: value => /^\d{10,11}$/.test(value.replace(/\D/g, '')),
+        message: 'validacao.whatsapp'
+    },
+    cep: {
+        test: value => /^\d{5}-?\d{3}$/.test(value),
+        normalize: value => value.replace(/^(\d{5})-?(\d{3})$/, '$1-$2'),
+        message: 'validacao.cep'
+    },
+    cpfCnpj: {
+        test: value => isValidCpf(value) || isValidCnpj(value),
+        normalize: formatDocumento,
+        message: 'validacao.cpfCnpj'
+    },
+    cnpj: {
+        test: isValidCnpj,
+        normalize: formatDocumento,
+        message: 'validacao.cnpj'
+    },
+    cadastur: {
+        test: isValidCadastur,
+        message: 'validacao.cadastur'
+    }
+};
+
+const CHECKBOX_ON = ['on', 'true', '1', true];
+
+function requiredMessage(rule, t) {
+    return t(rule.requiredMessage || 'validacao.obrigatorio');
+}
+
+function validateField(rule, raw, t) {
+    if (rule.type === 'checkbox') {
+        const checked = CHECKBOX_ON.includes(raw);
+        if (rule.required && !checked) {
+            return { error: requiredMessage(rule, t), value: false };
+        }
+        return { value: checked };
+    }
+
+    const value = typeof raw === 'string' ? raw.trim() : '';
+
+    if (!value) {
+        return rule.required
+            ? { error: requiredMessage(rule, t), value }
+            : { value: null };
+    }
+
+    if (rule.type === 'number') {
+        return validateNumber(rule, value, t);
+    }
+
+    if (rule.minLength && value.length < rule.minLength) {
+        return { error: t('validacao.minLength', { min: rule.minLength }), value };
+    }
+
+    if (rule.maxLength && value.length > rule.maxLength) {
+        return { error: t('validacao.maxLength', { max: rule.maxLength }), value };
+    }
+
+    const format = FORMATS[rule.format];
+    if (format && !format.test(value)) {
+        return { error: t(rule.formatMessage || format.message), value };
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return { error: t('validacao.opcaoInvalida'), value };
+    }
+
+    return { value: format && format.normalize ? format.normalize(value) : value };
+}
+
+// Aceita vírgula como separador decimal ("2,5")
+function validateNumber(rule, value, t) {
+    const number = Number(value.replace(',', '.'));
+
+    if (!Number.isFinite(number) || (rule.integer && !Number.isInteger(number))) {
+        return { error: t(rule.integer ? 'validacao.inteiro' : 'validacao.numero'), value };
+    }
+
+    if (rule.min !== undefined && number < rule.min) {
+        return { error: t('validacao.minimo', { min: rule.min }), value };
+    }
+
+    if (rule.max !== undefined && number > rule.max) {
+        return { error: t('validacao.maximo', { max: rule.max }), value };
+    }
+
+    return { value: number };
+}
+
+/**
+ * Valida um objeto de entrada contra um schema
+ * @param {Function} [t] tradutor das mensagens (padrão: pt-BR)
+ * @returns {{ valid: boolean, errors: Object<string, string>, values: Object }}
+ */
+function validate(schema, input = {}, t = createTranslator()) {
+    const errors = {};
+    const values = {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const result = validateField(rule, input[field], t);
+        values[field] = result.value;
+        if (result.error) {
+            errors[field] = result.error;
+        }
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors, values };
+}
+
+module.exports = { validate, FORMATS };
@@ -5,6 +5,9 @@
 
 require('dotenv').config();
 const http = require('http');
+const { createMailer } = require('./lib/mail');
+const { createDatabase, databaseDriver } = require('./lib/db');
+const { emulatorHosts, firebaseProjectId } = require('./lib/emulator');
 
 const API_URL = `http://localhost:${process.env.PORT || 3001}`;
 
@@ -78,16 +81,28 @@ async function testHealthCheck() {
 function testEnvConfig() {
     log('check', 'Verificando variáveis de ambiente...');
     
+    // Credenciais de service account só para o Firestore real: o emulador
+    // e o banco local dispensam (ver lib/db e lib/emulator.js)
+    const firestoreReal = databaseDriver() === 'firestore' && !emulatorHosts().firestore;
+
+    let allPresent = true;
+
+    // Transporte inválido ou ausente em produção conta como falha da verificação
+    let mailDriver = null;
+    try {
+        mailDriver = createMailer().driver;
+    } catch (error) {
+        log('error', `  Transporte de emails: ${error.message}`);
+        allPresent = false;
+    }
+
     const required = [
-        'FIREBASE_PROJECT_ID',
-        'FIREBASE_PRIVATE_KEY',
-        'FIREBASE_CLIENT_EMAIL',
-        'RESEND_API_KEY',
+        ...(firestoreReal ? ['FIREBASE_PROJECT_ID', 'FIREBASE_PRIVATE_KEY', 'FIREBASE_CLIENT_EMAIL'] : []),
+        // A chave do Resend só é exigida quando ele é o transporte dos emails
+        ...(mailDriver === 'resend' ? ['RESEND_API_KEY'] : []),
         'EMAIL_TO',
         'EMAIL_FROM'
     ];
-
-    let allPresent = true;
     
     required.forEach(key => {
         if (process.env[key]) {
@@ -104,64 +119,49 @@ function testEnvConfig() {
     return allPresent;
 }
 
-// Teste 3: Verificar conexão com Firebase
-async function testFirebaseConnection() {
-    log('check', 'Verificando conexão com Firebase...');
+// Teste 3: Verificar conexão com o banco (Firestore, emulador ou local)
+async function testDatabaseConnection() {
+    const driver = databaseDriver();
+    const emulador = driver === 'firestore' ? emulatorHosts().firestore : null;
+    log('check', `Verificando conexão com ${emulador ? 'o emulador do Firestore' : driver === 'firestore' ? 'Firebase' : `o banco ${driver}`}...`);
     
     try {
-        const admin = require('firebase-admin');
-        
-        // Verificar se já foi inicializado
-        if (admin.apps.length === 0) {
-            admin.initializeApp({
-                credential: admin.credential.cert({
-                    projectId: process.env.FIREBASE_PROJECT_ID,
-                    privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-                }),
-            });
-        }
-
-        const db = admin.firestore();
+        const { db } = createDatabase();
         
         // Tentar listar coleções (operação leve)
         const collections = await db.listCollections();
-        log('success', `Firebase conectado - Project: ${process.env.FIREBASE_PROJECT_ID}`);
+        if (emulador) {
+            log('success', `Emulador do Firestore conectado em ${emulador} - Project: ${firebaseProjectId()}`);
+        } else if (driver === 'firestore') {
+            log('success', `Firebase conectado - Project: ${process.env.FIREBASE_PROJECT_ID}`);
+        } else {
+            log('success', `Banco ${driver} disponível (DB_DRIVER)`);
+        }
         log('info', `  Coleções encontradas: ${collections.length > 0 ? collections.map(c => c.id).join(', ') : 'nenhuma ainda'}`);
         
         return true;
     } catch (error) {
-        log('error', `Erro ao conectar com Firebase: ${error.message}`);
+        log('error', `Erro ao conectar com o banco: ${error.message}`);
         return false;
     }
 }
 
-// Teste 4: Verificar conexão com Resend
-async function testResendConnection() {
-    log('check', 'Verificando conexão com Resend API...');
+// Teste 4: Verificar o transporte de emails (MAIL_DRIVER, ver lib/mail)
+async function testEmailTransport() {
+    log('check', 'Verificando o transporte de emails...');
     
     try {
-        const { Resend } = require('resend');
-        const resend = new Resend(process.env.RESEND_API_KEY);
-        
-        // Verificar a API key listando domínios
-        const { data, error } = await resend.domains.list();
-        
-        if (error) {
-            // API key pode ser válida mesmo sem domínios configurados
-            if (error.message && error.message.includes('API')) {
-                log('error', `API Key inválida: ${error.message}`);
-                return false;
-            }
-        }
+        const mailer = createMailer();
+        const descricao = await mailer.verify();
         
-        log('success', 'Resend API conectada');
+        log('success', `Transporte de emails disponível (${mailer.driver})`);
+        log('info', `  ${descricao}`);
         log('info', `  Email de destino: ${process.env.EMAIL_TO}`);
         log('info', `  Email de origem: ${process.env.EMAIL_FROM}`);
         
         return true;
     } catch (error) {
-        log('error', `Erro ao verificar Resend: ${error.message}`);
+        log('error', `Erro ao verificar o transporte de emails: ${error.message}`);
         return false;
     }
 }
@@ -175,8 +175,8 @@ async function runAllTests() {
     const results = {
         env: false,
         server: false,
-        firebase: false,
-        resend: false
+        database: false,
+        email: false
     };
 
     // Teste de configurações
@@ -187,12 +187,12 @@ async function runAllTests() {
     results.server = await testHealthCheck();
     console.log();
 
-    // Teste do Firebase
-    results.firebase = await testFirebaseConnection();
+    // Teste do banco de dados
+    results.database = await testDatabaseConnection();
     console.log();
 
-    // Teste do Resend
-    results.resend = await testResendConnection();
+    // Teste do envio de emails
+    results.email = await testEmailTransport();
 
     // Resumo
     header('📊 RESUMO DO MONITORAMENTO');
@@ -200,8 +200,8 @@ async function runAllTests() {
     const tests = [
         { name: 'Variáveis de Ambiente', status: results.env },
         { name: 'Servidor Backend', status: results.server },
-        { name: 'Firebase Firestore', status: results.firebase },
-        { name: 'Resend Email API', status: results.resend }
+        { name: 'Banco de Dados', status: results.database },
+        { name: 'Envio de Emails', status: results.email }
     ];
 
     tests.forEach(test => {
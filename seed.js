@@ -0,0 +1,75 @@
+/**
+ * Carga de dados de exemplo - Paraty GO!
+ * Grava os cadastros de seed/cadastros.json no banco configurado (ver
+ * lib/db): o banco local ou o emulador do Firestore. O Firestore real só
+ * recebe os dados com --force.
+ *
+ * Uso: npm run db:seed
+ *      FIRESTORE_EMULATOR_HOST=localhost:8080 npm run db:seed
+ */
+
+require('dotenv').config();
+const { createDatabase, databaseDriver } = require('./lib/db');
+const { emulatorHosts } = require('./lib/emulator');
+const { createCadastroRepository } = require('./lib/cadastros');
+const { createTermos } = require('./lib/termos');
+const { createTracking } = require('./lib/tracking');
+const { seedDatabase } = require('./lib/seed');
+
+const colors = {
+    reset: '\x1b[0m',
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+    bold: '\x1b[1m'
+};
+
+async function seed() {
+    console.log(`\n${colors.cyan}${'═'.repeat(50)}${colors.reset}`);
+    console.log(`${colors.bold}${colors.cyan}  🌴 PARATY GO! - Dados de Exemplo${colors.reset}`);
+    console.log(`${colors.cyan}${'═'.repeat(50)}${colors.reset}\n`);
+
+    try {
+        if (databaseDriver() === 'firestore' && !emulatorHosts().firestore && !process.argv.includes('--force')) {
+            console.log(`${colors.red}❌ O banco configurado é o Firestore real.${colors.reset}`);
+            console.log(`   Use o emulador (FIRESTORE_EMULATOR_HOST) ou o banco local (DB_DRIVER=local),`);
+            console.log(`   ou rode com --force para gravar os exemplos mesmo assim.`);
+            process.exit(1);
+        }
+
+        const database = createDatabase();
+
+        if (database.driver === 'memory') {
+            console.log(`${colors.yellow}⚠️  DB_DRIVER=memory não guarda nada ao encerrar; use DB_DRIVER=local.${colors.reset}\n`);
+        }
+
+        console.log(`   Banco: ${database.emulador ? `emulador do Firestore em ${database.emulador}` : database.driver}\n`);
+
+        const tracking = createTracking({
+            secret: process.env.TRACKING_SECRET,
+            baseUrl: process.env.APP_URL || `http://localhost:${process.env.PORT || 3001}`
+        });
+
+        const gravados = await seedDatabase({
+            db: database.db,
+            cadastros: createCadastroRepository({ db: database.db }),
+            termos: createTermos()
+        });
+
+        for (const { id, nomeEmpresa, status } of gravados) {
+            console.log(`${colors.green}✅ ${nomeEmpresa}${colors.reset} (${status})`);
+            console.log(`   ${tracking.statusUrl(id)}`);
+        }
+
+        console.log(`\n${colors.green}${gravados.length} cadastros de exemplo gravados.${colors.reset}`);
+        process.exit(0);
+
+    } catch (error) {
+        console.log(`${colors.red}❌ Erro ao gravar os dados de exemplo:${colors.reset}`);
+        console.log(`   ${error.message}`);
+        process.exit(1);
+    }
+}
+
+seed();
@@ -2,7 +2,9 @@
  * 📸 Paraty GO! - Teste Visual de Responsividade
  * 
  * Este script usa Puppeteer para capturar screenshots da página
- * em diferentes tamanhos de tela para verificação visual.
+ * em diferentes tamanhos de tela para verificação visual e, com o
+ * axe-core instalado, audita a acessibilidade (WCAG 2.1 A e AA) de
+ * cada página, incluindo o formulário com o resumo de erros aberto.
  * 
  * Uso: npm run test:visual
  */
@@ -30,6 +32,12 @@ const pages = [
     { name: 'confirmacao', url: 'confirmacao.html' }
 ];
 
+// Auditoria de acessibilidade: regras do axe-core e viewports auditadas.
+// A auditoria roda com movimento reduzido, que exibe todo o conteúdo sem
+// as animações de entrada
+const AUDIT_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+const auditViewports = ['iPhone-12', 'Desktop-HD'];
+
 // Cores para output
 const colors = {
     reset: '\x1b[0m',
@@ -56,6 +64,83 @@ async function waitForAnimations(page) {
     await page.waitForTimeout(1500);
 }
 
+// Violações das regras WCAG encontradas pelo axe-core na página aberta
+async function runAxe(page) {
+    await page.addScriptTag({ path: require.resolve('axe-core') });
+
+    return page.evaluate(async tags => {
+        const { violations } = await window.axe.run(document, { runOnly: { type: 'tag', values: tags } });
+        return violations.map(violation => ({
+            id: violation.id,
+            impact: violation.impact,
+            help: violation.help,
+            targets: violation.nodes.map(node => node.target.join(' '))
+        }));
+    }, AUDIT_TAGS);
+}
+
+function axeAvailable() {
+    try {
+        require.resolve('axe-core');
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Audita cada página nas viewports de auditoria; em index.html também o
+// formulário depois de tentar avançar com a primeira etapa vazia
+async function auditAccessibility(browser, results) {
+    header('♿ AUDITORIA DE ACESSIBILIDADE');
+
+    if (!axeAvailable()) {
+        log('⚠️', 'axe-core não está instalado: auditoria ignorada (npm install axe-core)', 'yellow');
+        return;
+    }
+
+    for (const pageConfig of pages) {
+        for (const viewport of viewports.filter(v => auditViewports.includes(v.name))) {
+            const page = await browser.newPage();
+            await page.setViewport({ width: viewport.width, height: viewport.height });
+            await page.emulateMediaFeatures([{ name: 'prefers-reduced-motion', value: 'reduce' }]);
+
+            const states = [];
+            try {
+                await page.goto(`file://${path.join(__dirname, pageConfig.url)}`, {
+                    waitUntil: 'networkidle0',
+                    timeout: 30000
+                });
+                states.push({ name: 'inicial', violations: await runAxe(page) });
+
+                if (pageConfig.name === 'index') {
+                    await page.click('#nextStep');
+                    await page.waitForSelector('#errorSummary:not([hidden])', { timeout: 5000 });
+                    states.push({ name: 'resumo de erros', violations: await runAxe(page) });
+                }
+            } catch (error) {
+                results.issues.push(`${pageConfig.name} @ ${viewport.name}: auditoria falhou - ${error.message}`);
+            }
+
+            for (const state of states) {
+                const label = `${pageConfig.name} @ ${viewport.name} (${state.name})`;
+                results.audits++;
+
+                if (state.violations.length === 0) {
+                    log('✅', `${label} - Nenhuma violação WCAG`, 'green');
+                    continue;
+                }
+
+                log('⚠️', `${label} - ${state.violations.length} violação(ões)`, 'yellow');
+                state.violations.forEach(violation => {
+                    results.issues.push(`${label}: [${violation.impact}] ${violation.id} - ${violation.help} (${violation.targets.slice(0, 3).join(', ')})`);
+                });
+            }
+
+            await page.close();
+        }
+    }
+}
+
 async function captureScreenshots() {
     const screenshotsDir = path.join(__dirname, 'screenshots');
     
@@ -83,6 +168,7 @@ async function captureScreenshots() {
     const results = {
         total: 0,
         captured: 0,
+        audits: 0,
         issues: []
     };
 
@@ -189,6 +275,8 @@ async function captureScreenshots() {
                 await page.close();
             }
         }
+
+        await auditAccessibility(browser, results);
     } finally {
         await browser.close();
     }
@@ -197,6 +285,7 @@ async function captureScreenshots() {
     header('📊 RELATÓRIO FINAL');
     
     console.log(`\n${colors.green}✅ Screenshots capturadas: ${results.captured}/${results.total}${colors.reset}`);
+    console.log(`${colors.green}♿ Auditorias de acessibilidade: ${results.audits}${colors.reset}`);
     console.log(`${colors.cyan}📁 Salvas em: ${screenshotsDir}${colors.reset}\n`);
 
     if (results.issues.length > 0) {
@@ -205,7 +294,7 @@ async function captureScreenshots() {
             console.log(`   • ${issue}`);
         });
     } else {
-        console.log(`${colors.green}✨ Nenhum problema de responsividade detectado!${colors.reset}`);
+        console.log(`${colors.green}✨ Nenhum problema de responsividade ou acessibilidade detectado!${colors.reset}`);
     }
 
     console.log('\n' + '─'.repeat(60));
@@ -0,0 +1,147 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, expectLogs, validFields, postCadastro, requestJson, listDocs, PDF } = require('./helpers');
+
+describe('autenticação do painel de revisão', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = await startTestApp();
+    });
+
+    afterEach(() => ctx.close());
+
+    it('responde 401 sem o token de login', async () => {
+        const { status, body } = await requestJson(ctx, '/api/admin/cadastros');
+
+        assert.equal(status, 401);
+        assert.equal(body.success, false);
+    });
+
+    it('responde 401 para um token inválido ou expirado', async () => {
+        const { status } = await requestJson(ctx, '/api/admin/cadastros', { revisor: 'token-expirado' });
+
+        assert.equal(status, 401);
+    });
+
+    it('responde 403 para um email fora da lista de revisores', async () => {
+        const { status } = await requestJson(ctx, '/api/admin/cadastros', { revisor: 'visitante' });
+
+        assert.equal(status, 403);
+    });
+
+    it('responde 403 para o email de um revisor ainda não verificado', async () => {
+        const { status } = await requestJson(ctx, '/api/admin/cadastros', { revisor: 'nao-verificada' });
+
+        assert.equal(status, 403);
+    });
+});
+
+describe('rotas do painel de revisão', () => {
+    let ctx;
+    let envio;
+
+    beforeEach(async t => {
+        expectLogs(t);
+        ctx = await startTestApp();
+        ({ body: envio } = await postCadastro(ctx, validFields(), [{ nome: 'licenca.pdf', conteudo: PDF }]));
+        ctx.mailer.enviados.length = 0;
+    });
+
+    afterEach(() => ctx.close());
+
+    it('lista os cadastros com os filtros de status e categoria', async () => {
+        const { status, body } = await requestJson(ctx, '/api/admin/cadastros?status=pendente', { revisor: 'revisora' });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.cadastros.map(c => c.id), [envio.id]);
+
+        const outraCategoria = await requestJson(ctx, '/api/admin/cadastros?categoria=pousada', { revisor: 'revisora' });
+        assert.deepEqual(outraCategoria.body.cadastros, []);
+    });
+
+    it('filtra na consulta e pagina a listagem além de uma página de cadastros', async () => {
+        // Um cadastro aprovado antigo, atrás de uma página inteira de pendentes mais recentes
+        const antes = new Date('2025-01-01T12:00:00Z').getTime();
+        const colecao = ctx.db.collection('cadastros');
+        await colecao.doc('antigo').set({ nomeEmpresa: 'Pousada Antiga', categoria: 'pousada', status: 'aprovado', dataEnvio: new Date(antes) });
+        for (let i = 1; i <= 500; i++) {
+            await colecao.doc(`pendente-${i}`).set({ nomeEmpresa: `Parceiro ${i}`, status: 'pendente', dataEnvio: new Date(antes + i * 60000) });
+        }
+
+        const filtrado = await requestJson(ctx, '/api/admin/cadastros?status=aprovado&categoria=pousada', { revisor: 'revisora' });
+        assert.deepEqual(filtrado.body.cadastros.map(c => c.id), ['antigo']);
+        assert.equal(filtrado.body.proximo, null);
+
+        const primeira = await requestJson(ctx, '/api/admin/cadastros', { revisor: 'revisora' });
+        assert.equal(primeira.body.cadastros.length, 500);
+        assert.equal(primeira.body.cadastros[0].id, envio.id);
+        assert.equal(primeira.body.proximo, 'pendente-2');
+
+        const segunda = await requestJson(ctx, `/api/admin/cadastros?apos=${primeira.body.proximo}`, { revisor: 'revisora' });
+        assert.deepEqual(segunda.body.cadastros.map(c => c.id), ['pendente-1', 'antigo']);
+        assert.equal(segunda.body.proximo, null);
+
+        const invalida = await requestJson(ctx, '/api/admin/cadastros?apos=nao-existe', { revisor: 'revisora' });
+        assert.equal(invalida.status, 400);
+
+        // O relatório dos termos lê todas as páginas
+        const { body: termos } = await requestJson(ctx, '/api/admin/termos', { revisor: 'revisora' });
+        assert.equal(termos.total, 502);
+        assert.equal(termos.pendentes.length, 501);
+    });
+
+    it('devolve o registro completo de um cadastro e 404 para um ID desconhecido', async () => {
+        const { status, body } = await requestJson(ctx, `/api/admin/cadastros/${envio.id}`, { revisor: 'revisora' });
+
+        assert.equal(status, 200);
+        assert.equal(body.cadastro.nomeEmpresa, 'Lancha Paradise');
+        assert.equal(typeof body.cadastro.dataEnvio, 'string');
+
+        const desconhecido = await requestJson(ctx, '/api/admin/cadastros/nao-existe', { revisor: 'revisora' });
+        assert.equal(desconhecido.status, 404);
+    });
+
+    it('muda o status com a nota do revisor e avisa o parceiro', async () => {
+        const { status, body } = await requestJson(ctx, `/api/admin/cadastros/${envio.id}/status`, {
+            method: 'POST',
+            revisor: 'revisora',
+            body: { status: 'aprovado', nota: 'Documentação conferida.' }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.revisao.revisor, 'revisora@paratygo.test');
+        assert.equal(body.email.status, 'pendente');
+
+        const [cadastro] = await listDocs(ctx.db, 'cadastros');
+        assert.equal(cadastro.status, 'aprovado');
+        assert.equal(cadastro.historico.length, 1);
+
+        const [aviso] = ctx.mailer.enviados;
+        assert.equal(aviso.to, 'carlos@lanchaparadise.test');
+        assert.ok(aviso.text.includes('Documentação conferida.'));
+    });
+
+    it('exige status válido e nota na mudança de status', async () => {
+        const { status, body } = await requestJson(ctx, `/api/admin/cadastros/${envio.id}/status`, {
+            method: 'POST',
+            revisor: 'revisora',
+            body: { status: 'publicado' }
+        });
+
+        assert.equal(status, 422);
+        assert.deepEqual(Object.keys(body.errors).sort(), ['nota', 'status']);
+    });
+
+    it('baixa os documentos enviados no cadastro', async () => {
+        const res = await ctx.request(`/api/admin/cadastros/${envio.id}/arquivos/0`, {
+            headers: { authorization: 'Bearer revisora' }
+        });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(Buffer.from(await res.arrayBuffer()), PDF);
+
+        const semLogin = await ctx.request(`/api/admin/cadastros/${envio.id}/arquivos/0`);
+        assert.equal(semLogin.status, 401);
+    });
+});
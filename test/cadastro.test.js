@@ -0,0 +1,831 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EICAR } = require('../lib/scanner/heuristic');
+const { createTracking } = require('../lib/tracking');
+const { createMemoryDb } = require('../lib/db/memory');
+const {
+    startTestApp,
+    createTestMailer,
+    createMemoryStorage,
+    generousLimits,
+    expectErrors,
+    expectLogs,
+    validFields,
+    buildForm,
+    postCadastro,
+    requestJson,
+    listDocs,
+    PDF,
+    PNG,
+    FOTO_COM_GPS,
+    EXIF,
+    wordDocument
+} = require('./helpers');
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+describe('POST /api/cadastro', () => {
+    let ctx;
+
+    beforeEach(async t => {
+        expectLogs(t);
+        ctx = await startTestApp();
+    });
+
+    afterEach(() => ctx.close());
+
+    it('salva o cadastro com os arquivos e envia os emails', async () => {
+        const { status, body } = await postCadastro(ctx, validFields(), [
+            { nome: 'licenca.pdf', conteudo: PDF, tipo: 'application/pdf' },
+            { nome: 'barco.png', conteudo: PNG, tipo: 'image/png' }
+        ]);
+
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.ok(body.id);
+        assert.ok(body.protocolo);
+        assert.ok(body.token);
+        assert.equal(body.atualizado, false);
+
+        const [cadastro] = await listDocs(ctx.db, 'cadastros');
+        assert.equal(cadastro.id, body.id);
+        assert.equal(cadastro.status, 'pendente');
+        assert.equal(cadastro.nomeEmpresa, 'Lancha Paradise');
+        assert.equal(cadastro.email, 'carlos@lanchaparadise.test');
+        assert.equal(cadastro.quarentena, false);
+        assert.deepEqual(cadastro.arquivos.map(a => a.nome), ['licenca.pdf', 'barco.png']);
+
+        for (const arquivo of cadastro.arquivos) {
+            assert.match(arquivo.sha256, /^[0-9a-f]{64}$/);
+            assert.ok(ctx.storage.arquivos.has(arquivo.caminho), arquivo.caminho);
+        }
+
+        const [equipe, parceiro] = ctx.mailer.enviados;
+        assert.equal(ctx.mailer.enviados.length, 2);
+        assert.equal(equipe.to, 'equipe@paratygo.test');
+        assert.match(equipe.subject, /Lancha Paradise/);
+        const anexo = equipe.attachments.find(a => a.filename === 'licenca.pdf');
+        assert.ok(anexo);
+        assert.deepEqual(Buffer.from(anexo.content), PDF);
+        assert.equal(parceiro.to, 'carlos@lanchaparadise.test');
+
+        const emails = await listDocs(ctx.db, 'emails');
+        assert.deepEqual(emails.map(e => e.status), ['enviado', 'enviado']);
+    });
+
+    it('recusa arquivos de tipo não permitido sem salvar nada', async () => {
+        const { status, body } = await postCadastro(ctx, validFields(), [
+            { nome: 'licenca.pdf', conteudo: PDF },
+            { nome: 'instalador.exe', conteudo: Buffer.from('MZ\x90\x00') }
+        ]);
+
+        assert.equal(status, 422);
+        assert.equal(body.success, false);
+        assert.ok(body.message);
+        assert.ok(body.errors.documentos);
+        assert.deepEqual(body.arquivos.map(a => a.nome), ['instalador.exe']);
+
+        assert.deepEqual(await listDocs(ctx.db, 'cadastros'), []);
+        assert.equal(ctx.storage.arquivos.size, 0);
+        assert.equal(ctx.mailer.enviados.length, 0);
+    });
+
+    it('recusa arquivos cujo conteúdo não corresponde à extensão', async () => {
+        const { status, body } = await postCadastro(ctx, validFields(), [
+            { nome: 'foto.jpg', conteudo: PDF, tipo: 'image/jpeg' }
+        ]);
+
+        assert.equal(status, 422);
+        assert.deepEqual(body.arquivos.map(a => a.nome), ['foto.jpg']);
+        assert.deepEqual(await listDocs(ctx.db, 'cadastros'), []);
+    });
+
+    it('recusa arquivos acima do tamanho máximo', async () => {
+        const grande = Buffer.alloc(MAX_FILE_SIZE + 1);
+        PDF.copy(grande);
+
+        const { status, body } = await postCadastro(ctx, validFields(), [
+            { nome: 'licenca.pdf', conteudo: grande, tipo: 'application/pdf' }
+        ]);
+
+        assert.equal(status, 422);
+        assert.equal(body.success, false);
+        assert.ok(body.errors.documentos);
+        assert.deepEqual(await listDocs(ctx.db, 'cadastros'), []);
+    });
+
+    it('recusa mais arquivos que o permitido', async () => {
+        const arquivos = Array.from({ length: 11 }, (_, i) => ({ nome: `doc-${i + 1}.pdf`, conteudo: PDF }));
+
+        const { status, body } = await postCadastro(ctx, validFields(), arquivos);
+
+        assert.equal(status, 422);
+        assert.ok(body.errors.documentos);
+        assert.deepEqual(await listDocs(ctx.db, 'cadastros'), []);
+    });
+
+    it('recusa arquivos enviados fora do campo de documentos', async () => {
+        const form = buildForm();
+        form.append('anexo', new Blob([PDF]), 'licenca.pdf');
+
+        const res = await ctx.request('/api/cadastro', { method: 'POST', body: form });
+        const body = await res.json();
+
+        assert.equal(res.status, 422);
+        assert.match(body.errors.documentos, /campo de documentos/);
+        assert.doesNotMatch(body.errors.documentos, /no máximo/);
+        assert.deepEqual(await listDocs(ctx.db, 'cadastros'), []);
+    });
+
+    it('responde 400 em JSON para um corpo multipart malformado', async t => {
+        t.mock.method(console, 'warn', () => {});
+
+        for (const contentType of ['multipart/form-data; boundary=limite', 'multipart/form-data']) {
+            const res = await ctx.request('/api/cadastro', {
+                method: 'POST',
+                headers: { 'content-type': contentType, 'accept-language': 'en' },
+                body: '--limite\r\nContent-Disposition: form-data; name="nomeEmpresa"\r\n\r\nLancha'
+            });
+
+            assert.equal(res.status, 400, contentType);
+            assert.match(res.headers.get('content-type'), /application\/json/);
+            const body = await res.json();
+            assert.equal(body.success, false);
+            assert.equal(body.message, 'We could not read the data you sent. Please reload the page and try again.');
+        }
+
+        assert.deepEqual(await listDocs(ctx.db, 'cadastros'), []);
+    });
+
+    it('responde 422 com os erros de cada campo inválido', async () => {
+        const { status, body } = await postCadastro(ctx, validFields({
+            nomeEmpresa: undefined,
+            email: 'nao-e-email',
+            termos: undefined
+        }));
+
+        assert.equal(status, 422);
+        assert.equal(body.success, false);
+        assert.deepEqual(Object.keys(body.errors).sort(), ['email', 'nomeEmpresa', 'termos']);
+        assert.deepEqual(await listDocs(ctx.db, 'cadastros'), []);
+    });
+
+    it('exige o CPF/CNPJ só nas categorias que o pedem', async () => {
+        const semDocumento = await postCadastro(ctx, validFields({ documento: undefined }));
+        assert.equal(semDocumento.status, 200);
+
+        const transfer = await postCadastro(ctx, validFields({
+            categoria: 'transfer',
+            documento: undefined,
+            email: 'transfer@paratygo.test',
+            whatsapp: '(24) 99700-1122',
+            nomeEmpresa: 'Transfer Paraty'
+        }));
+        assert.equal(transfer.status, 422);
+        assert.deepEqual(Object.keys(transfer.body.errors), ['documento']);
+    });
+
+    it('descarta envios com o honeypot preenchido, respondendo como sucesso', async () => {
+        const { status, body } = await postCadastro(ctx, validFields({ website: 'http://spam.test' }));
+
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.equal(body.id, undefined);
+        assert.deepEqual(await listDocs(ctx.db, 'cadastros'), []);
+    });
+
+    it('recusa captcha inválido', async () => {
+        const { status, body } = await postCadastro(ctx, validFields({ captchaToken: 'errado' }));
+
+        assert.equal(status, 400);
+        assert.equal(body.code, 'captcha_invalid');
+        assert.deepEqual(await listDocs(ctx.db, 'cadastros'), []);
+    });
+
+    it('devolve o mesmo cadastro para a mesma chave de idempotência', async () => {
+        const fields = validFields({ idempotencyKey: '0f8b1c2d-3e4f-4a5b-8c6d-7e8f9a0b1c2d' });
+
+        const primeiro = await postCadastro(ctx, fields);
+        const segundo = await postCadastro(ctx, fields);
+
+        assert.equal(primeiro.status, 200);
+        assert.equal(segundo.status, 200);
+        assert.equal(segundo.body.id, primeiro.body.id);
+        assert.equal((await listDocs(ctx.db, 'cadastros')).length, 1);
+        assert.equal(ctx.mailer.enviados.length, 2);
+    });
+
+    it('libera a chave de idempotência de um envio interrompido', async () => {
+        const idempotencyKey = '0f8b1c2d-3e4f-4a5b-8c6d-7e8f9a0b1c2d';
+        await ctx.db.collection('idempotencia').doc(idempotencyKey).create({
+            criadoEm: new Date(Date.now() - 60 * 60 * 1000),
+            cadastroId: null
+        });
+
+        const { status, body } = await postCadastro(ctx, validFields({ idempotencyKey }));
+
+        assert.equal(status, 200);
+        assert.ok(body.id);
+    });
+
+    it('retoma a chave de um envio interrompido para um único envio simultâneo', async () => {
+        // As leituras da chave esperam os dois envios: ambos encontram o registro antigo
+        const db = createMemoryDb();
+        const collection = db.collection.bind(db);
+        let leituras = 0;
+        let liberar;
+        const ambos = new Promise(resolve => {
+            liberar = resolve;
+        });
+        db.collection = nome => {
+            const colecao = collection(nome);
+            if (nome !== 'idempotencia') return colecao;
+            return {
+                ...colecao,
+                doc(id) {
+                    const ref = colecao.doc(id);
+                    return {
+                        ...ref,
+                        async get() {
+                            const snapshot = await ref.get();
+                            if (++leituras === 2) liberar();
+                            await ambos;
+                            return snapshot;
+                        }
+                    };
+                }
+            };
+        };
+        await ctx.close();
+        ctx = await startTestApp({ db });
+
+        const idempotencyKey = '0f8b1c2d-3e4f-4a5b-8c6d-7e8f9a0b1c2d';
+        await collection('idempotencia').doc(idempotencyKey).create({
+            criadoEm: new Date(Date.now() - 60 * 60 * 1000),
+            cadastroId: null
+        });
+
+        const envios = await Promise.all([
+            postCadastro(ctx, validFields({ idempotencyKey })),
+            postCadastro(ctx, validFields({
+                idempotencyKey,
+                nomeEmpresa: 'Escuna Azul',
+                documento: undefined,
+                email: 'marina@escunaazul.test',
+                whatsapp: '(24) 99700-1122'
+            }))
+        ]);
+
+        const cadastros = await listDocs(ctx.db, 'cadastros');
+        assert.equal(leituras, 2);
+        assert.equal(cadastros.length, 1);
+        for (const { status, body } of envios) {
+            if (status === 200) assert.equal(body.id, cadastros[0].id);
+            else assert.equal(body.code, 'in_progress');
+        }
+    });
+
+    it('grava a chave de idempotência com vencimento e trata uma chave vencida como livre', async () => {
+        const idempotencyKey = '0f8b1c2d-3e4f-4a5b-8c6d-7e8f9a0b1c2d';
+        await ctx.db.collection('idempotencia').doc(idempotencyKey).create({
+            criadoEm: new Date(Date.now() - 48 * 60 * 60 * 1000),
+            expiraEm: new Date(Date.now() - 24 * 60 * 60 * 1000),
+            cadastroId: 'cadastro-antigo',
+            resposta: { success: true, id: 'cadastro-antigo' }
+        });
+
+        const { status, body } = await postCadastro(ctx, validFields({ idempotencyKey }));
+
+        assert.equal(status, 200);
+        assert.notEqual(body.id, 'cadastro-antigo');
+
+        const [lock] = await listDocs(ctx.db, 'idempotencia');
+        assert.equal(lock.cadastroId, body.id);
+        assert.ok(lock.expiraEm - Date.now() > 23 * 60 * 60 * 1000);
+    });
+
+    it('recusa o mesmo WhatsApp de um cadastro em andamento com outro email', async () => {
+        const { body: primeiro } = await postCadastro(ctx, validFields());
+        ctx.mailer.enviados.length = 0;
+
+        const { status, body } = await postCadastro(ctx, validFields({
+            nomeEmpresa: 'Outra Empresa',
+            documento: '390.533.447-05',
+            email: 'outra@empresa.test'
+        }));
+
+        assert.equal(status, 409);
+        assert.equal(body.code, 'duplicate');
+        assert.equal((await listDocs(ctx.db, 'cadastros')).length, 1);
+
+        // O link vai só para o email do cadastro existente, nunca na resposta
+        assert.equal(JSON.stringify(body).includes(primeiro.token), false);
+        assert.deepEqual(ctx.mailer.enviados.map(e => e.to), ['carlos@lanchaparadise.test']);
+        assert.ok(ctx.mailer.enviados[0].text.includes(ctx.tracking.statusUrl(primeiro.id)));
+    });
+
+    it('não altera o cadastro existente num novo envio com o mesmo email sem o link', async () => {
+        const { body: primeiro } = await postCadastro(ctx, validFields());
+        ctx.mailer.enviados.length = 0;
+
+        const { status, body } = await postCadastro(ctx, validFields({ capacidade: 'Barco para até 12 pessoas' }), [
+            { nome: 'outro.pdf', conteudo: PDF }
+        ]);
+
+        assert.equal(status, 409);
+        assert.equal(body.code, 'duplicate');
+
+        const [cadastro] = await listDocs(ctx.db, 'cadastros');
+        assert.equal(cadastro.capacidade, 'Barco para até 8 pessoas');
+        assert.deepEqual(cadastro.arquivos, []);
+        assert.equal(cadastro.revisoes, undefined);
+        assert.equal(ctx.storage.arquivos.size, 0);
+
+        assert.equal(ctx.mailer.enviados.length, 1);
+        assert.equal(ctx.mailer.enviados[0].to, 'carlos@lanchaparadise.test');
+        assert.ok(ctx.mailer.enviados[0].text.includes(ctx.tracking.statusUrl(primeiro.id)));
+        assert.ok(ctx.mailer.enviados[0].text.includes(ctx.tracking.editUrl(primeiro.id)));
+    });
+
+    it('atualiza o cadastro existente quando o mesmo parceiro envia de novo com o link', async () => {
+        const primeiro = await postCadastro(ctx, validFields());
+        const { status, body } = await postCadastro(ctx, validFields({
+            capacidade: 'Barco para até 12 pessoas',
+            token: primeiro.body.token
+        }));
+
+        assert.equal(status, 200);
+        assert.equal(body.id, primeiro.body.id);
+        assert.equal(body.atualizado, true);
+        assert.equal(body.token, null);
+
+        const [cadastro] = await listDocs(ctx.db, 'cadastros');
+        assert.equal(cadastro.capacidade, 'Barco para até 12 pessoas');
+        assert.equal(cadastro.revisoes.length, 1);
+    });
+
+    it('coloca em quarentena arquivos suspeitos e não os anexa ao email', async () => {
+        const { status } = await postCadastro(ctx, validFields(), [
+            { nome: 'licenca.pdf', conteudo: Buffer.concat([PDF, Buffer.from(EICAR)]) }
+        ]);
+
+        assert.equal(status, 200);
+
+        const [cadastro] = await listDocs(ctx.db, 'cadastros');
+        assert.equal(cadastro.quarentena, true);
+        assert.equal(cadastro.arquivos[0].quarentena, true);
+        assert.match(cadastro.arquivos[0].caminho, /^quarentena\//);
+
+        const [equipe] = ctx.mailer.enviados;
+        assert.deepEqual(equipe.attachments || [], []);
+    });
+
+    it('aceita um documento do Word que só menciona macros no texto', async () => {
+        const documento = wordDocument({ texto: 'Macros do roteiro: saída às 9h. Macros e _VBA_PROJECT no texto.' });
+
+        const { status } = await postCadastro(ctx, validFields(), [{ nome: 'roteiro.doc', conteudo: documento }]);
+
+        assert.equal(status, 200);
+        const [cadastro] = await listDocs(ctx.db, 'cadastros');
+        assert.equal(cadastro.quarentena, false);
+        assert.equal(cadastro.arquivos[0].verificacao.limpo, true);
+        assert.equal(ctx.mailer.enviados[0].attachments[0].filename, 'roteiro.doc');
+    });
+
+    it('coloca em quarentena documentos do Word com macros ou com o diretório ilegível', async t => {
+        t.mock.method(console, 'warn', () => {});
+        const comMacros = wordDocument({ entradas: [['WordDocument', 2], ['Macros', 1], ['VBA', 1]] });
+        const ilegivel = wordDocument();
+        ilegivel.writeUInt32LE(40, 0x30);
+
+        const { status } = await postCadastro(ctx, validFields(), [
+            { nome: 'roteiro.doc', conteudo: comMacros },
+            { nome: 'tabela.doc', conteudo: ilegivel }
+        ]);
+
+        assert.equal(status, 200);
+        const [cadastro] = await listDocs(ctx.db, 'cadastros');
+        assert.deepEqual(cadastro.arquivos.map(a => a.verificacao.ameaca), ['Heuristics.Office.Macro', 'Heuristics.Office.Malformed']);
+        assert.ok(cadastro.arquivos.every(a => a.quarentena));
+    });
+});
+
+describe('fotos enviadas no cadastro', () => {
+    let ctx;
+
+    beforeEach(async t => {
+        expectLogs(t);
+        ctx = await startTestApp();
+    });
+
+    afterEach(() => ctx.close());
+
+    it('grava o original e as versões da foto sem EXIF nem GPS', async () => {
+        assert.ok(FOTO_COM_GPS.includes(EXIF));
+
+        const { status } = await postCadastro(ctx, validFields(), [
+            { nome: 'barco.jpg', conteudo: FOTO_COM_GPS, tipo: 'image/jpeg' }
+        ]);
+
+        assert.equal(status, 200);
+
+        const [cadastro] = await listDocs(ctx.db, 'cadastros');
+        const [foto] = cadastro.arquivos;
+        assert.equal(cadastro.quarentena, false);
+        assert.match(foto.caminho, /^cadastros\//);
+        assert.ok(foto.versoes && foto.versoes.miniatura && foto.versoes.web);
+
+        for (const caminho of [foto.caminho, foto.versoes.miniatura.caminho, foto.versoes.web.caminho]) {
+            assert.equal(ctx.storage.arquivos.get(caminho).includes(EXIF), false, caminho);
+        }
+
+        const [equipe] = ctx.mailer.enviados;
+        assert.equal(equipe.attachments.length, 1);
+        assert.equal(equipe.attachments[0].filename, 'barco-miniatura.webp');
+        assert.equal(Buffer.from(equipe.attachments[0].content).includes(EXIF), false);
+    });
+
+    it('coloca em quarentena a foto cujos metadados não puderam ser removidos', async t => {
+        const erros = expectErrors(t);
+        // Assinatura e fim de JPEG válidos, com o bloco EXIF, mas sem imagem
+        const corrompida = Buffer.concat([Buffer.from([0xFF, 0xD8, 0xFF, 0xE1]), EXIF, Buffer.from('GPS'), Buffer.from([0xFF, 0xD9])]);
+
+        const { status } = await postCadastro(ctx, validFields(), [
+            { nome: 'barco.jpg', conteudo: corrompida, tipo: 'image/jpeg' }
+        ]);
+
+        assert.equal(status, 200);
+        assert.ok(erros.mock.calls.some(call => /metadados/.test(call.arguments[0])));
+
+        const [cadastro] = await listDocs(ctx.db, 'cadastros');
+        const [foto] = cadastro.arquivos;
+        assert.equal(cadastro.quarentena, true);
+        assert.equal(foto.quarentena, true);
+        assert.equal(foto.verificacao.ameaca, 'Imagem.MetadadosNaoRemovidos');
+        assert.match(foto.caminho, /^quarentena\//);
+
+        const [equipe] = ctx.mailer.enviados;
+        assert.deepEqual(equipe.attachments || [], []);
+    });
+});
+
+describe('POST /api/cadastro com falhas dos serviços', () => {
+    let ctx;
+
+    beforeEach(t => {
+        expectLogs(t);
+    });
+
+    afterEach(() => ctx.close());
+
+    it('salva o cadastro e deixa o email na fila quando o envio falha', async t => {
+        const erros = expectErrors(t);
+        const mailer = createTestMailer();
+        mailer.falhar = true;
+        ctx = await startTestApp({ mailer });
+
+        const { status, body } = await postCadastro(ctx, validFields());
+
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.equal((await listDocs(ctx.db, 'cadastros')).length, 1);
+
+        const emails = await listDocs(ctx.db, 'emails');
+        assert.equal(emails.length, 2);
+        assert.ok(emails.every(e => e.status === 'pendente' && e.erro));
+        assert.equal(erros.mock.callCount(), 2);
+    });
+
+    it('responde sem esperar o serviço de email, que envia em segundo plano', async () => {
+        // Serviço de email que só responde quando o teste libera
+        let liberar;
+        const lento = new Promise(resolve => {
+            liberar = resolve;
+        });
+        const mailer = createTestMailer();
+        const send = mailer.send;
+        mailer.send = async function (mensagem) {
+            await lento;
+            return send.call(this, mensagem);
+        };
+        ctx = await startTestApp({ mailer });
+
+        const res = await fetch(`${ctx.baseUrl}/api/cadastro`, { method: 'POST', body: buildForm(validFields()) });
+
+        assert.equal(res.status, 200);
+        assert.equal(mailer.enviados.length, 0);
+        assert.ok((await listDocs(ctx.db, 'emails')).every(e => e.status !== 'enviado'));
+
+        liberar();
+        await ctx.outbox.idle();
+
+        assert.equal(mailer.enviados.length, 2);
+        assert.ok((await listDocs(ctx.db, 'emails')).every(e => e.status === 'enviado'));
+    });
+
+    it('responde 500 com a mensagem do erro quando o armazenamento falha', async t => {
+        const erros = expectErrors(t);
+        const storage = createMemoryStorage();
+        storage.save = async () => {
+            throw new Error('Bucket indisponível');
+        };
+        ctx = await startTestApp({ storage });
+
+        const { status, body } = await postCadastro(ctx, validFields(), [{ nome: 'licenca.pdf', conteudo: PDF }]);
+
+        assert.equal(status, 500);
+        assert.equal(body.success, false);
+        assert.ok(body.message);
+        assert.equal(body.error, 'Bucket indisponível');
+        assert.deepEqual(await listDocs(ctx.db, 'cadastros'), []);
+        assert.equal(erros.mock.calls[0].arguments[1].message, 'Bucket indisponível');
+    });
+
+    it('não conta no limite por email os envios repetidos com a mesma chave de idempotência', async () => {
+        ctx = await startTestApp({
+            rateLimits: generousLimits({ email: 1 })
+        });
+        const fields = validFields({ idempotencyKey: '0f8b1c2d-3e4f-4a5b-8c6d-7e8f9a0b1c2d' });
+
+        const primeiro = await postCadastro(ctx, fields);
+        const segundo = await postCadastro(ctx, fields);
+
+        assert.equal(segundo.status, 200);
+        assert.equal(segundo.body.id, primeiro.body.id);
+        assert.equal((await postCadastro(ctx, validFields())).status, 429);
+    });
+
+    it('responde 429 quando o limite de envios por IP é atingido', async () => {
+        ctx = await startTestApp({
+            rateLimits: generousLimits({ ip: 1 })
+        });
+
+        assert.equal((await postCadastro(ctx, validFields())).status, 200);
+
+        const res = await ctx.request('/api/cadastro', { method: 'POST', body: new FormData() });
+        assert.equal(res.status, 429);
+        assert.ok(res.headers.get('retry-after'));
+        assert.equal((await res.json()).success, false);
+    });
+});
+
+describe('GET /api/cadastro/:token/status', () => {
+    let ctx;
+
+    beforeEach(async t => {
+        expectLogs(t);
+        ctx = await startTestApp();
+    });
+
+    afterEach(() => ctx.close());
+
+    it('mostra o andamento pelo link de acompanhamento', async () => {
+        const { body: envio } = await postCadastro(ctx, validFields());
+
+        const res = await ctx.request(`/api/cadastro/${envio.token}/status`);
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.protocolo, envio.protocolo);
+        assert.equal(body.nomeEmpresa, 'Lancha Paradise');
+        assert.equal(body.status, 'pendente');
+        assert.equal(body.editavel, true);
+    });
+
+    it('responde 404 para um link inválido', async () => {
+        const res = await ctx.request('/api/cadastro/token-invalido/status');
+
+        assert.equal(res.status, 404);
+        assert.equal((await res.json()).success, false);
+    });
+
+    it('recusa links adulterados, trocados ou assinados com outra chave', async () => {
+        const { body: primeiro } = await postCadastro(ctx, validFields());
+        const { body: segundo } = await postCadastro(ctx, validFields({
+            nomeEmpresa: 'Escuna Azul',
+            documento: undefined,
+            email: 'marina@escunaazul.test',
+            whatsapp: '(24) 99700-1122'
+        }));
+
+        const [id, assinatura] = primeiro.token.split('.');
+        const outraChave = createTracking({ secret: 'outro-segredo', baseUrl: 'http://paratygo.test' });
+        const forjados = {
+            'assinatura alterada': `${id}.${assinatura.slice(0, -1)}${assinatura.endsWith('A') ? 'B' : 'A'}`,
+            'assinatura de outro cadastro': `${id}.${segundo.token.split('.')[1]}`,
+            'ID de outro cadastro': `${segundo.id}.${assinatura}`,
+            'sem assinatura': `${id}.`,
+            'trecho a mais': `${primeiro.token}.extra`,
+            'outra chave': outraChave.sign(id),
+            'link de rascunho': ctx.tracking.signDraft(id)
+        };
+
+        for (const [caso, token] of Object.entries(forjados)) {
+            const res = await ctx.request(`/api/cadastro/${encodeURIComponent(token)}/status`);
+            assert.equal(res.status, 404, caso);
+        }
+
+        const edicao = await ctx.request(`/api/cadastro/${encodeURIComponent(forjados['outra chave'])}`, {
+            method: 'PUT',
+            body: buildForm(validFields({ nomeEmpresa: 'Nome Trocado', termos: undefined }))
+        });
+        assert.equal(edicao.status, 404);
+
+        const cadastro = (await listDocs(ctx.db, 'cadastros')).find(c => c.id === primeiro.id);
+        assert.equal(cadastro.nomeEmpresa, 'Lancha Paradise');
+        assert.equal(cadastro.revisoes, undefined);
+    });
+});
+
+describe('edição pelo link de acompanhamento', () => {
+    let ctx;
+    let envio;
+
+    beforeEach(async t => {
+        expectLogs(t);
+        ctx = await startTestApp();
+        ({ body: envio } = await postCadastro(ctx, validFields()));
+        ctx.mailer.enviados.length = 0;
+    });
+
+    afterEach(() => ctx.close());
+
+    async function putCadastro(token, fields, arquivos) {
+        const res = await ctx.request(`/api/cadastro/${token}`, { method: 'PUT', body: buildForm(fields, arquivos) });
+        return { status: res.status, body: await res.json() };
+    }
+
+    it('GET /api/cadastro/:token devolve os dados atuais para o formulário', async () => {
+        const { status, body } = await requestJson(ctx, `/api/cadastro/${envio.token}`);
+
+        assert.equal(status, 200);
+        assert.equal(body.editavel, true);
+        assert.equal(body.valores.nomeEmpresa, 'Lancha Paradise');
+        assert.equal(body.valores.termos, undefined);
+    });
+
+    it('PUT /api/cadastro/:token registra a revisão com os campos alterados e os novos arquivos', async () => {
+        const { status, body } = await putCadastro(envio.token, validFields({ capacidade: 'Barco para até 12 pessoas' }), [
+            { nome: 'licenca.pdf', conteudo: PDF }
+        ]);
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.campos, ['capacidade']);
+        assert.deepEqual(body.arquivos, ['licenca.pdf']);
+
+        const [cadastro] = await listDocs(ctx.db, 'cadastros');
+        assert.equal(cadastro.capacidade, 'Barco para até 12 pessoas');
+        assert.equal(cadastro.revisoes[0].origem, 'edicao');
+        assert.deepEqual(cadastro.revisoes[0].campos.capacidade, { de: 'Barco para até 8 pessoas', para: 'Barco para até 12 pessoas' });
+        assert.equal(cadastro.arquivos.length, 1);
+
+        assert.deepEqual(ctx.mailer.enviados.map(e => e.to), ['equipe@paratygo.test', 'carlos@lanchaparadise.test']);
+    });
+
+    it('devolve à fila de análise um cadastro pendente de documentos', async () => {
+        await ctx.db.collection('cadastros').doc(envio.id).update({ status: 'pendente_documentos' });
+
+        const { status } = await putCadastro(envio.token, validFields());
+
+        assert.equal(status, 200);
+        const [cadastro] = await listDocs(ctx.db, 'cadastros');
+        assert.equal(cadastro.status, 'pendente');
+        assert.equal(cadastro.historico.at(-1).statusAnterior, 'pendente_documentos');
+    });
+
+    it('não edita um cadastro já analisado', async () => {
+        await ctx.db.collection('cadastros').doc(envio.id).update({ status: 'aprovado' });
+
+        const { status, body } = await putCadastro(envio.token, validFields({ capacidade: 'Barco para até 12 pessoas' }));
+
+        assert.equal(status, 409);
+        assert.equal(body.code, 'not_editable');
+        const [cadastro] = await listDocs(ctx.db, 'cadastros');
+        assert.equal(cadastro.capacidade, 'Barco para até 8 pessoas');
+    });
+
+    it('não aceita dados que coincidem com outro cadastro em andamento', async () => {
+        await postCadastro(ctx, validFields({
+            nomeEmpresa: 'Escuna Azul',
+            documento: '390.533.447-05',
+            email: 'contato@escunaazul.test',
+            whatsapp: '(24) 99700-4455'
+        }));
+
+        const { status, body } = await putCadastro(envio.token, validFields({ whatsapp: '(24) 99700-4455' }));
+
+        assert.equal(status, 409);
+        assert.equal(body.code, 'duplicate');
+    });
+
+    it('responde 422 com os erros dos campos e 404 para um link inválido', async () => {
+        const invalido = await putCadastro(envio.token, validFields({ email: 'nao-e-email' }));
+        assert.equal(invalido.status, 422);
+        assert.deepEqual(Object.keys(invalido.body.errors), ['email']);
+
+        const semLink = await putCadastro(`${envio.id}.assinatura-falsa`, validFields());
+        assert.equal(semLink.status, 404);
+    });
+});
+
+describe('POST /api/cadastro/validar', () => {
+    let ctx;
+
+    beforeEach(async t => {
+        expectLogs(t);
+        ctx = await startTestApp();
+    });
+
+    afterEach(() => ctx.close());
+
+    it('responde só os erros dos campos da etapa', async () => {
+        const { status, body } = await requestJson(ctx, '/api/cadastro/validar', {
+            method: 'POST',
+            body: { valores: { nomeEmpresa: 'X', email: 'nao-e-email' }, campos: ['email', 'whatsapp'] }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.valid, false);
+        assert.deepEqual(Object.keys(body.errors).sort(), ['email', 'whatsapp']);
+    });
+
+    it('aceita uma etapa preenchida corretamente', async () => {
+        const { body } = await requestJson(ctx, '/api/cadastro/validar', {
+            method: 'POST',
+            body: { valores: validFields(), campos: ['nomeEmpresa', 'categoria', 'documento', 'descricao'] }
+        });
+
+        assert.equal(body.valid, true);
+        assert.deepEqual(body.errors, {});
+    });
+
+    it('dispensa o aceite dos termos na edição', async () => {
+        const campos = ['termos'];
+        const envio = await requestJson(ctx, '/api/cadastro/validar', { method: 'POST', body: { valores: {}, campos } });
+        const edicao = await requestJson(ctx, '/api/cadastro/validar', { method: 'POST', body: { valores: {}, campos, edicao: true } });
+
+        assert.equal(envio.body.valid, false);
+        assert.equal(edicao.body.valid, true);
+    });
+});
+
+describe('POST /api/cadastro/:token/termos', () => {
+    let ctx;
+    let envio;
+    let versao;
+
+    beforeEach(async t => {
+        expectLogs(t);
+        ctx = await startTestApp();
+        ({ body: envio } = await postCadastro(ctx, validFields()));
+        ({ body: { versao } } = await requestJson(ctx, '/api/termos'));
+
+        // Aceite de um texto anterior ao vigente
+        await ctx.db.collection('cadastros').doc(envio.id).update({ 'aceiteTermos.hash': 'texto-anterior' });
+    });
+
+    afterEach(() => ctx.close());
+
+    it('registra o novo aceite e deixa de pedi-lo no acompanhamento', async () => {
+        const antes = await requestJson(ctx, `/api/cadastro/${envio.token}/status`);
+        assert.equal(antes.body.termos.pendente, true);
+
+        const { status, body } = await requestJson(ctx, `/api/cadastro/${envio.token}/termos`, {
+            method: 'POST',
+            body: { aceito: true, versao }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.termos.pendente, false);
+
+        const depois = await requestJson(ctx, `/api/cadastro/${envio.token}/status`);
+        assert.equal(depois.body.termos.pendente, false);
+
+        const [cadastro] = await listDocs(ctx.db, 'cadastros');
+        assert.equal(cadastro.historicoTermos.length, 2);
+    });
+
+    it('recusa o aceite sem confirmação ou de outra versão', async () => {
+        const semAceite = await requestJson(ctx, `/api/cadastro/${envio.token}/termos`, { method: 'POST', body: { versao } });
+        const outraVersao = await requestJson(ctx, `/api/cadastro/${envio.token}/termos`, {
+            method: 'POST',
+            body: { aceito: true, versao: '2000-01-01' }
+        });
+
+        assert.equal(semAceite.status, 422);
+        assert.equal(outraVersao.status, 422);
+        assert.ok(outraVersao.body.errors.termos);
+
+        const [cadastro] = await listDocs(ctx.db, 'cadastros');
+        assert.equal(cadastro.historicoTermos.length, 1);
+    });
+
+    it('responde 404 para um link inválido', async () => {
+        const { status } = await requestJson(ctx, '/api/cadastro/token-invalido/termos', {
+            method: 'POST',
+            body: { aceito: true, versao }
+        });
+
+        assert.equal(status, 404);
+    });
+});
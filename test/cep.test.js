@@ -0,0 +1,36 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, generousLimits } = require('./helpers');
+
+describe('GET /api/cep/:cep', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = await startTestApp({ rateLimits: generousLimits({ cep: 2 }) });
+    });
+
+    afterEach(() => ctx.close());
+
+    it('devolve o endereço do CEP', async () => {
+        const res = await ctx.request('/api/cep/01001-000');
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.cep, '01001-000');
+        assert.equal(body.cidade, 'São Paulo');
+    });
+
+    it('responde 404 para um CEP desconhecido e 422 para um CEP inválido', async () => {
+        assert.equal((await ctx.request('/api/cep/99999999')).status, 404);
+        assert.equal((await ctx.request('/api/cep/123')).status, 422);
+    });
+
+    it('limita as consultas por IP', async () => {
+        await ctx.request('/api/cep/23970000');
+        await ctx.request('/api/cep/23970000');
+
+        const res = await ctx.request('/api/cep/23970000');
+        assert.equal(res.status, 429);
+        assert.equal((await res.json()).code, 'rate_limited');
+    });
+});
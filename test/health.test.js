@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+describe('rotas gerais da API', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp();
+    });
+
+    after(() => ctx.close());
+
+    it('GET /api/health responde ok com a hora do servidor', async () => {
+        const res = await ctx.request('/api/health');
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.status, 'ok');
+        assert.equal(new Date(body.timestamp).toISOString(), body.timestamp);
+    });
+
+    it('rotas desconhecidas em /api respondem 404 em JSON, em qualquer método', async () => {
+        for (const method of ['GET', 'POST', 'DELETE']) {
+            const res = await ctx.request('/api/nao-existe', { method });
+
+            assert.equal(res.status, 404, method);
+            assert.match(res.headers.get('content-type'), /application\/json/);
+            assert.deepEqual(await res.json(), { error: 'Rota não encontrada' });
+        }
+    });
+
+    it('GET /api/config não inventa o domínio de login sem projeto do Firebase', async t => {
+        for (const variavel of ['FIREBASE_PROJECT_ID', 'FIREBASE_AUTH_DOMAIN', 'FIRESTORE_EMULATOR_HOST', 'FIREBASE_AUTH_EMULATOR_HOST', 'FIREBASE_STORAGE_EMULATOR_HOST']) {
+            const valor = process.env[variavel];
+            delete process.env[variavel];
+            t.after(() => {
+                if (valor !== undefined) process.env[variavel] = valor;
+            });
+        }
+
+        const res = await ctx.request('/api/config');
+        const { firebase } = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(firebase.projectId, null);
+        assert.equal(firebase.authDomain, null);
+    });
+
+    it('corpo JSON inválido responde 400 em JSON, em qualquer rota', async t => {
+        t.mock.method(console, 'warn', () => {});
+
+        const rotas = ['/api/cadastro/validar', '/api/rascunhos', '/api/admin/cadastros/abc/status'];
+        for (const caminho of rotas) {
+            for (const corpo of ['{"valores":', 'null']) {
+                const res = await ctx.request(caminho, {
+                    method: 'POST',
+                    headers: { 'content-type': 'application/json' },
+                    body: corpo
+                });
+
+                assert.equal(res.status, 400, `${caminho} ${corpo}`);
+                assert.match(res.headers.get('content-type'), /application\/json/);
+                const body = await res.json();
+                assert.equal(body.success, false);
+                assert.equal(body.message, 'Não foi possível ler os dados enviados. Atualize a página e tente novamente.');
+            }
+        }
+    });
+
+    it('idioma não disponível responde 404', async () => {
+        const res = await ctx.request('/api/i18n/xx');
+        const body = await res.json();
+
+        assert.equal(res.status, 404);
+        assert.equal(body.success, false);
+        assert.ok(body.message);
+    });
+
+    it('processamento da fila de emails exige o segredo do cron', async () => {
+        const semSegredo = await ctx.request('/api/emails/processar');
+        assert.equal(semSegredo.status, 401);
+        assert.equal((await semSegredo.json()).success, false);
+
+        const res = await ctx.request('/api/emails/processar', { headers: { authorization: 'Bearer cron-de-teste' } });
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).success, true);
+    });
+});
@@ -0,0 +1,275 @@
+/**
+ * Aplicação de teste: o app Express completo, sem rede nem credenciais
+ *
+ * O Firestore é o banco em memória de lib/db, o email é um transporte que
+ * só registra as mensagens, os documentos ficam num armazenamento em
+ * memória e as consultas de CNPJ e CEP usam as fixtures. Cada teste pode
+ * trocar qualquer opção de createApp.
+ */
+
+const { createApp } = require('../lib/app');
+const { createMemoryDb } = require('../lib/db/memory');
+const { createStubCaptcha } = require('../lib/captcha');
+const { createRateLimiter } = require('../lib/rate-limit');
+const { createTracking } = require('../lib/tracking');
+const { createFixtureCepLookup } = require('../lib/cep-lookup/fixture');
+const { createFixtureCnpjLookup } = require('../lib/cnpj-lookup/fixture');
+
+process.env.EMAIL_TO = 'equipe@paratygo.test';
+process.env.EMAIL_FROM = 'Paraty GO! <nao-responda@paratygo.test>';
+
+// Revisores do painel: o ID token é o próprio nome do revisor em REVISORES
+const ADMIN_EMAIL = 'revisora@paratygo.test';
+const REVISORES = {
+    revisora: { uid: 'revisora', email: ADMIN_EMAIL, email_verified: true },
+    'nao-verificada': { uid: 'nao-verificada', email: ADMIN_EMAIL, email_verified: false },
+    visitante: { uid: 'visitante', email: 'visitante@paratygo.test', email_verified: true }
+};
+
+async function verifyIdToken(token) {
+    if (!REVISORES[token]) throw new Error('Token inválido');
+    return REVISORES[token];
+}
+
+/**
+ * Erros esperados pelo teste: console.error é trocado por um mock só
+ * durante o teste `t`, e as chamadas ficam em `mock.calls` para conferência
+ */
+function expectErrors(t) {
+    return t.mock.method(console, 'error', () => {});
+}
+
+/**
+ * Logs de sucesso das rotas (console.log) no teste `t`, trocados por um mock
+ * da mesma forma. No Node 20 o runner lê a saída padrão do arquivo de teste
+ * misturada às próprias mensagens e pode se perder com ela ("Unable to
+ * deserialize cloned data"); avisos e erros seguem na saída de erros
+ */
+function expectLogs(t) {
+    return t.mock.method(console, 'log', () => {});
+}
+
+// Transporte que guarda as mensagens enviadas; `falhar` simula o serviço fora do ar
+function createTestMailer() {
+    const enviados = [];
+    return {
+        driver: 'teste',
+        enviados,
+        falhar: false,
+        async send(mensagem) {
+            if (this.falhar) throw new Error('Serviço de email indisponível');
+            enviados.push(mensagem);
+            return { id: `email-${enviados.length}` };
+        },
+        async verify() {
+            return 'transporte de teste';
+        }
+    };
+}
+
+function createMemoryStorage() {
+    const arquivos = new Map();
+    return {
+        driver: 'memoria',
+        arquivos,
+        async save(caminho, buffer) {
+            arquivos.set(caminho, Buffer.from(buffer));
+        },
+        async read(caminho) {
+            if (!arquivos.has(caminho)) throw new Error(`Arquivo não encontrado: ${caminho}`);
+            return arquivos.get(caminho);
+        }
+    };
+}
+
+// Limites folgados para os testes; `maximos` aperta algum deles ({ ip: 1 })
+function generousLimits(maximos = {}) {
+    return Object.fromEntries(['ip', 'email', 'rascunho', 'rascunhoEmail', 'rascunhoEmailIp', 'cep'].map(nome => [
+        nome,
+        createRateLimiter({ windowMs: 60 * 1000, max: maximos[nome] || 1000 })
+    ]));
+}
+
+/**
+ * Sobe a aplicação numa porta livre. Retorna { db, mailer, storage,
+ * tracking, outbox, baseUrl, request(caminho, init), close() }; `request`
+ * usa o fetch do Node e espera os envios da fila em segundo plano
+ * (outbox.deliverLater), para os testes verem os emails já entregues
+ */
+async function startTestApp(options = {}) {
+    const db = options.db || createMemoryDb();
+    const mailer = options.mailer || createTestMailer();
+    const storage = options.storage || createMemoryStorage();
+    const tracking = options.tracking || createTracking({ secret: 'segredo-de-teste', baseUrl: 'http://paratygo.test' });
+
+    const app = createApp({
+        serverTimestamp: () => new Date(),
+        captcha: createStubCaptcha(),
+        rateLimits: generousLimits(),
+        minFillMs: 0,
+        cnpjLookup: createFixtureCnpjLookup(),
+        cepLookup: createFixtureCepLookup(),
+        cronSecret: 'cron-de-teste',
+        verifyIdToken,
+        adminEmails: [ADMIN_EMAIL],
+        ...options,
+        db,
+        mailer,
+        storage,
+        tracking
+    });
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const { outbox } = app.locals;
+
+    return {
+        db,
+        mailer,
+        storage,
+        tracking,
+        outbox,
+        baseUrl,
+        request: async (caminho, init) => {
+            const res = await fetch(`${baseUrl}${caminho}`, init);
+            await outbox.idle();
+            return res;
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// Conteúdos mínimos reconhecidos pela assinatura de cada tipo (ver lib/upload.js)
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj\n<<>>\nendobj\ntrailer\n<<>>\n%%EOF\n');
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+// Foto JPEG 4x4 com EXIF e a posição GPS de onde foi tirada (bloco APP1 "Exif")
+const FOTO_COM_GPS = Buffer.from(
+    '/9j/4QFCRXhpZgAASUkqAAgAAAAIAA4BAgAHAAAAfgAAABIBAwABAAAAAQAAABoBBQABAAAAbgAAABsBBQABAAAAdgAAACgBAwABAAAAAgAAABMCAwABAAAAAQAAAGmHBAABAAAAhgAAACWIBAABAAAA1AAAAAAAAAA4YwAA6AMAADhjAADoAwAAUGFyYXR5AAAGAACQBwAEAAAAMDIxMAGRBwAEAAAAAQIDAACgBwAEAAAAMDEwMAGgAwABAAAA//8AAAKgBAABAAAABAAAAAOgBAABAAAABAAAAAAAAAAEAAEAAgACAAAAUwAAAAIABQADAAAAIgEAAAMAAgACAAAAVwAAAAQABQADAAAACgEAAAAAAAAsAAAAAQAAACoAAAABAAAAMgAAAAEAAAAXAAAAAQAAAA0AAAABAAAAAgAAAAEAAAD/2wBDABALDA4MChAODQ4SERATGCgaGBYWGDEjJR0oOjM9PDkzODdASFxOQERXRTc4UG1RV19iZ2hnPk1xeXBkeFxlZ2P/2wBDARESEhgVGC8aGi9jQjhCY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2P/wAARCAAEAAQDASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAH/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFQEBAQAAAAAAAAAAAAAAAAAAAgX/xAAUEQEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIRAxEAPwCgCiv/2Q==',
+    'base64'
+);
+const EXIF = Buffer.from('Exif\0\0', 'latin1');
+
+/**
+ * Documento do Word 97-2003 (OLE) mínimo: cabeçalho, um setor da FAT, um
+ * setor de diretório com a raiz e as `entradas` ([nome, tipo], tipo 1 para
+ * storage e 2 para stream) e um setor com o `texto` em UTF-16
+ */
+function wordDocument({ entradas = [['WordDocument', 2]], texto = '' } = {}) {
+    const SETOR = 512;
+    const FREESECT = 0xFFFFFFFF;
+    const ENDOFCHAIN = 0xFFFFFFFE;
+
+    const cabecalho = Buffer.alloc(SETOR);
+    Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]).copy(cabecalho);
+    cabecalho.writeUInt16LE(0x3E, 0x18);
+    cabecalho.writeUInt16LE(3, 0x1A);
+    cabecalho.writeUInt16LE(0xFFFE, 0x1C);
+    cabecalho.writeUInt16LE(9, 0x1E);
+    cabecalho.writeUInt16LE(6, 0x20);
+    cabecalho.writeUInt32LE(1, 0x2C);
+    cabecalho.writeUInt32LE(1, 0x30);
+    cabecalho.writeUInt32LE(4096, 0x38);
+    cabecalho.writeUInt32LE(ENDOFCHAIN, 0x3C);
+    cabecalho.writeUInt32LE(ENDOFCHAIN, 0x44);
+    for (let i = 0; i < 109; i++) {
+        cabecalho.writeUInt32LE(i === 0 ? 0 : FREESECT, 0x4C + i * 4);
+    }
+
+    // Setor 0: a própria FAT; 1: diretório; 2: texto
+    const fat = Buffer.alloc(SETOR, 0xFF);
+    fat.writeUInt32LE(0xFFFFFFFD, 0);
+    fat.writeUInt32LE(ENDOFCHAIN, 4);
+    fat.writeUInt32LE(ENDOFCHAIN, 8);
+
+    const diretorio = Buffer.alloc(SETOR);
+    [['Root Entry', 5], ...entradas].forEach(([nome, tipo], i) => {
+        const nomeUtf16 = Buffer.from(`${nome}\0`, 'utf16le');
+        nomeUtf16.copy(diretorio, i * 128);
+        diretorio.writeUInt16LE(nomeUtf16.length, i * 128 + 0x40);
+        diretorio[i * 128 + 0x42] = tipo;
+    });
+
+    const conteudo = Buffer.alloc(SETOR);
+    Buffer.from(texto, 'utf16le').copy(conteudo);
+
+    return Buffer.concat([cabecalho, fat, diretorio, conteudo]);
+}
+
+// Campos válidos do formulário; `overrides` troca ou remove (undefined) campos
+function validFields(overrides = {}) {
+    return {
+        nomeEmpresa: 'Lancha Paradise',
+        categoria: 'passeio-barco',
+        documento: '529.982.247-25',
+        descricao: 'Passeios de barco pelas ilhas da baía de Paraty.',
+        nomeResponsavel: 'Carlos Almeida',
+        email: 'carlos@lanchaparadise.test',
+        whatsapp: '(24) 99811-2233',
+        endereco: 'Cais de Turismo, píer 3',
+        bairro: 'Centro Histórico',
+        regiao: 'centro-historico',
+        capacidade: 'Barco para até 8 pessoas',
+        diferencial: 'Roteiros personalizados e marinheiro bilíngue',
+        termos: 'on',
+        captchaToken: 'captcha-ok',
+        ...overrides
+    };
+}
+
+/**
+ * Formulário multipart como o enviado pela página: campos e arquivos
+ * `arquivos` = [{ nome, conteudo, tipo? }] no campo `documentos`
+ */
+function buildForm(fields = validFields(), arquivos = []) {
+    const form = new FormData();
+    for (const [campo, valor] of Object.entries(fields)) {
+        if (valor !== undefined) form.append(campo, String(valor));
+    }
+    for (const { nome, conteudo, tipo = 'application/octet-stream' } of arquivos) {
+        form.append('documentos', new Blob([conteudo], { type: tipo }), nome);
+    }
+    return form;
+}
+
+async function postCadastro(ctx, fields, arquivos, headers = {}) {
+    const res = await ctx.request('/api/cadastro', { method: 'POST', body: buildForm(fields, arquivos), headers });
+    return { status: res.status, body: await res.json() };
+}
+
+// Requisição com corpo JSON; `revisor` envia o ID token de um dos REVISORES
+async function requestJson(ctx, caminho, { method = 'GET', body, revisor } = {}) {
+    const headers = {};
+    if (body !== undefined) headers['content-type'] = 'application/json';
+    if (revisor) headers.authorization = `Bearer ${revisor}`;
+
+    const res = await ctx.request(caminho, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+}
+
+async function listDocs(db, colecao) {
+    const snapshot = await db.collection(colecao).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+module.exports = {
+    startTestApp,
+    createTestMailer,
+    createMemoryStorage,
+    generousLimits,
+    expectErrors,
+    expectLogs,
+    validFields,
+    buildForm,
+    postCadastro,
+    requestJson,
+    listDocs,
+    PDF,
+    PNG,
+    FOTO_COM_GPS,
+    EXIF,
+    wordDocument
+};
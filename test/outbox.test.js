@@ -0,0 +1,159 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createOutbox, ENVIO_TIMEOUT_MS } = require('../lib/outbox');
+const { createMemoryDb } = require('../lib/db/memory');
+const { createTestMailer, createMemoryStorage, expectErrors, expectLogs } = require('./helpers');
+
+const MINUTO = 60 * 1000;
+
+describe('fila de saída dos emails', () => {
+    let db;
+    let mailer;
+    let agora;
+    let outbox;
+
+    // Mensagem ao parceiro registrada no cadastro de origem
+    async function enfileirar() {
+        await db.collection('cadastros').doc('cadastro-1').set({ nomeEmpresa: 'Lancha Paradise' });
+        const [id] = await outbox.enqueue([{
+            tipo: 'recebido',
+            destinatario: 'parceiro',
+            para: 'carlos@lanchaparadise.test',
+            assunto: 'Recebemos seu cadastro',
+            html: '<p>Recebemos seu cadastro</p>',
+            text: 'Recebemos seu cadastro',
+            origem: { colecao: 'cadastros', id: 'cadastro-1' }
+        }]);
+        return id;
+    }
+
+    async function lerEmail(id) {
+        return (await db.collection('emails').doc(id).get()).data();
+    }
+
+    function avancar(ms) {
+        agora = new Date(agora.getTime() + ms);
+    }
+
+    beforeEach(t => {
+        expectLogs(t);
+        db = createMemoryDb();
+        mailer = createTestMailer();
+        agora = new Date('2026-01-10T12:00:00Z');
+        outbox = createOutbox({
+            db,
+            mailer,
+            storage: createMemoryStorage(),
+            maxTentativas: 3,
+            backoffMs: MINUTO,
+            now: () => agora
+        });
+    });
+
+    it('reagenda a mensagem com espera exponencial a cada falha, até o máximo', async t => {
+        const erros = expectErrors(t);
+        outbox = createOutbox({ db, mailer, storage: createMemoryStorage(), maxTentativas: 5, backoffMs: MINUTO, maxBackoffMs: 3 * MINUTO, now: () => agora });
+        mailer.falhar = true;
+        const id = await enfileirar();
+
+        const esperas = [];
+        for (let i = 0; i < 4; i++) {
+            const email = await outbox.deliver(id);
+            assert.equal(email.status, 'pendente');
+            esperas.push(email.proximaTentativaEm.getTime() - agora.getTime());
+            avancar(esperas[i]);
+        }
+
+        assert.deepEqual(esperas, [MINUTO, 2 * MINUTO, 3 * MINUTO, 3 * MINUTO]);
+        assert.equal((await lerEmail(id)).tentativas, 4);
+        assert.equal((await lerEmail(id)).erro, 'Serviço de email indisponível');
+        assert.equal(erros.mock.callCount(), 4);
+    });
+
+    it('só tenta de novo no processamento depois da espera', async t => {
+        expectErrors(t);
+        mailer.falhar = true;
+        const id = await enfileirar();
+        await outbox.deliverAll([id]);
+
+        mailer.falhar = false;
+        assert.deepEqual(await outbox.processarPendentes(), { enviados: 0, reagendados: 0, falhas: 0, interrompidos: 0 });
+        assert.equal(mailer.enviados.length, 0);
+
+        avancar(MINUTO);
+        assert.deepEqual(await outbox.processarPendentes(), { enviados: 1, reagendados: 0, falhas: 0, interrompidos: 0 });
+
+        const email = await lerEmail(id);
+        assert.equal(email.status, 'enviado');
+        assert.equal(email.tentativas, 2);
+        assert.equal(email.proximaTentativaEm, null);
+        assert.equal(mailer.enviados[0].to, 'carlos@lanchaparadise.test');
+
+        const cadastro = (await db.collection('cadastros').doc('cadastro-1').get()).data();
+        assert.equal(cadastro.emailsEnviados.length, 1);
+        assert.equal(cadastro.emailsEnviados[0].mensagemId, 'email-1');
+    });
+
+    it('marca como falhou depois das tentativas esgotadas e tira a mensagem da fila', async t => {
+        expectErrors(t);
+        mailer.falhar = true;
+        const id = await enfileirar();
+
+        await outbox.deliver(id);
+        avancar(MINUTO);
+        assert.equal((await outbox.processarPendentes()).reagendados, 1);
+        avancar(2 * MINUTO);
+        assert.equal((await outbox.processarPendentes()).falhas, 1);
+
+        const email = await lerEmail(id);
+        assert.equal(email.status, 'falhou');
+        assert.equal(email.tentativas, 3);
+        assert.equal(email.proximaTentativaEm, null);
+
+        const cadastro = (await db.collection('cadastros').doc('cadastro-1').get()).data();
+        assert.equal(cadastro.emailsEnviados[0].erro, 'Serviço de email indisponível');
+
+        mailer.falhar = false;
+        avancar(24 * 60 * MINUTO);
+        assert.equal((await outbox.processarPendentes()).enviados, 0);
+        assert.equal(mailer.enviados.length, 0);
+    });
+
+    it('devolve à fila uma mensagem que falhou com mais uma tentativa', async t => {
+        expectErrors(t);
+        mailer.falhar = true;
+        const id = await enfileirar();
+        for (let i = 0; i < 3; i++) await outbox.deliver(id);
+        assert.equal((await lerEmail(id)).status, 'falhou');
+
+        mailer.falhar = false;
+        const email = await outbox.retry(id);
+
+        assert.equal(email.status, 'enviado');
+        assert.equal(email.tentativas, 4);
+        assert.equal(mailer.enviados.length, 1);
+    });
+
+    it('devolve à fila uma tentativa interrompida depois do tempo limite', async () => {
+        const id = await enfileirar();
+        await db.collection('emails').doc(id).update({ status: 'enviando', tentativas: 1, ultimaTentativaEm: agora });
+
+        assert.equal((await outbox.processarPendentes()).interrompidos, 0);
+
+        avancar(ENVIO_TIMEOUT_MS);
+        const resumo = await outbox.processarPendentes();
+
+        assert.equal(resumo.interrompidos, 1);
+        assert.equal(resumo.enviados, 1);
+        assert.equal((await lerEmail(id)).tentativas, 2);
+    });
+
+    it('envia a mesma tentativa uma única vez em processamentos simultâneos', async () => {
+        const id = await enfileirar();
+
+        await Promise.all([outbox.deliver(id), outbox.deliver(id), outbox.processarPendentes()]);
+
+        assert.equal(mailer.enviados.length, 1);
+        assert.equal((await lerEmail(id)).status, 'enviado');
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, expectLogs, generousLimits, validFields, postCadastro, requestJson, listDocs } = require('./helpers');
+
+describe('rascunhos do formulário', () => {
+    let ctx;
+
+    beforeEach(async t => {
+        expectLogs(t);
+        ctx = await startTestApp();
+    });
+
+    afterEach(() => ctx.close());
+
+    it('salva só os campos conhecidos do formulário e os devolve pelo link', async () => {
+        const criado = await requestJson(ctx, '/api/rascunhos', {
+            method: 'POST',
+            body: { valores: { nomeEmpresa: 'Lancha Paradise', termos: 'on', senha: '123' }, etapa: 2 }
+        });
+
+        assert.equal(criado.status, 201);
+        assert.ok(criado.body.token);
+        assert.equal(criado.body.emailEnviado, false);
+
+        const { status, body } = await requestJson(ctx, `/api/rascunhos/${criado.body.token}`);
+        assert.equal(status, 200);
+        assert.deepEqual(body.valores, { nomeEmpresa: 'Lancha Paradise' });
+        assert.equal(body.etapa, 2);
+    });
+
+    it('atualiza o rascunho e envia o link de retomada quando pedido', async () => {
+        const { body: criado } = await requestJson(ctx, '/api/rascunhos', { method: 'POST', body: { valores: {} } });
+
+        const { status, body } = await requestJson(ctx, `/api/rascunhos/${criado.token}`, {
+            method: 'PUT',
+            body: { valores: { email: 'carlos@lanchaparadise.test' }, etapa: 1, enviarEmail: true }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.emailEnviado, true);
+
+        const [email] = ctx.mailer.enviados;
+        assert.equal(email.to, 'carlos@lanchaparadise.test');
+        assert.ok(email.text.includes(body.resumeUrl));
+    });
+
+    it('não põe no email de retomada nada digitado no formulário', async () => {
+        const { body } = await requestJson(ctx, '/api/rascunhos', {
+            method: 'POST',
+            body: {
+                valores: {
+                    email: 'vitima@exemplo.test',
+                    nomeResponsavel: 'Sua conta foi bloqueada, acesse http://golpe.test',
+                    nomeEmpresa: 'Banco Oficial',
+                    descricao: 'Confirme seus dados em http://golpe.test'
+                },
+                enviarEmail: true
+            }
+        });
+
+        assert.equal(body.emailEnviado, true);
+
+        const [email] = ctx.mailer.enviados;
+        for (const conteudo of [email.subject, email.text, email.html]) {
+            assert.doesNotMatch(conteudo, /golpe\.test|Banco Oficial|bloqueada/);
+        }
+    });
+
+    it('limita por IP os emails de retomada, mesmo para endereços diferentes', async t => {
+        t.mock.method(console, 'warn', () => {});
+        await ctx.close();
+        ctx = await startTestApp({ rateLimits: generousLimits({ rascunhoEmailIp: 2 }) });
+
+        const enviados = [];
+        for (const email of ['a@exemplo.test', 'b@exemplo.test', 'c@exemplo.test']) {
+            const { body } = await requestJson(ctx, '/api/rascunhos', {
+                method: 'POST',
+                body: { valores: { email }, enviarEmail: true }
+            });
+            enviados.push(body.emailEnviado);
+        }
+
+        assert.deepEqual(enviados, [true, true, false]);
+        assert.deepEqual(ctx.mailer.enviados.map(e => e.to), ['a@exemplo.test', 'b@exemplo.test']);
+    });
+
+    it('não abre um rascunho com o link de um cadastro', async () => {
+        const { body: envio } = await postCadastro(ctx, validFields());
+
+        const { status } = await requestJson(ctx, `/api/rascunhos/${envio.token}`);
+        assert.equal(status, 404);
+    });
+
+    it('apaga o rascunho depois do envio do cadastro', async () => {
+        const { body: criado } = await requestJson(ctx, '/api/rascunhos', { method: 'POST', body: { valores: {} } });
+
+        const { status } = await postCadastro(ctx, validFields({ rascunho: criado.token }));
+
+        assert.equal(status, 200);
+        assert.deepEqual(await listDocs(ctx.db, 'rascunhos'), []);
+        assert.equal((await requestJson(ctx, `/api/rascunhos/${criado.token}`)).status, 404);
+    });
+});